@@ -0,0 +1,146 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Per-channel display filters for the waveform view: high-pass, low-pass
+  // and mains notch, run forward and backward (zero phase) on a copy of the
+  // samples. The stored samples, staging and "Save view" stay unfiltered.
+
+  const BUTTERWORTH_Q = Math.SQRT1_2;
+  const NOTCH_Q = 30; // ~1.7 Hz wide at 50 Hz
+
+  /**
+   * @typedef {Object} DisplayFilter
+   * @property {number|null} highpassHz
+   * @property {number|null} lowpassHz
+   * @property {number|null} notchHz
+   */
+
+  function isActive(settings) {
+    return !!settings && (settings.highpassHz > 0 || settings.lowpassHz > 0 || settings.notchHz > 0);
+  }
+
+  // Biquad sections for `settings` at `fs`; cutoffs at or above Nyquist
+  // are skipped
+  function designSections(settings, fs) {
+    const dsp = window.YASA_DSP;
+    const nyquist = fs / 2;
+    const sections = [];
+    if (settings.highpassHz > 0 && settings.highpassHz < nyquist) {
+      sections.push(dsp.biquadHighpass(settings.highpassHz, fs, BUTTERWORTH_Q));
+    }
+    if (settings.lowpassHz > 0 && settings.lowpassHz < nyquist) {
+      sections.push(dsp.biquadLowpass(settings.lowpassHz, fs, BUTTERWORTH_Q));
+    }
+    if (settings.notchHz > 0 && settings.notchHz < nyquist) {
+      sections.push(dsp.biquadNotch(settings.notchHz, fs, NOTCH_Q));
+    }
+    return sections;
+  }
+
+  // One biquad pass over y[from..to) in place, forward or backward. The
+  // state starts as if the first sample had always been there, so a DC
+  // offset does not ring at the edges.
+  function biquadPass(y, c, from, to, backward) {
+    const { b0, b1, b2, a1, a2 } = c;
+    const step = backward ? -1 : 1;
+    let i = backward ? to - 1 : from;
+    const end = backward ? from - 1 : to;
+
+    const dcGain = (b0 + b1 + b2) / (1 + a1 + a2);
+    let x1 = y[i], x2 = y[i];
+    let y1 = dcGain * y[i], y2 = y1;
+    for (; i !== end; i += step) {
+      const x0 = y[i];
+      const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      y[i] = y0;
+      x2 = x1; x1 = x0;
+      y2 = y1; y1 = y0;
+    }
+  }
+
+  /**
+   * Zero-phase filtering of `samples` through `sections`. Runs of NaN
+   * (EDF+D gaps) are left as is and each finite run is filtered on its own.
+   * @param {Float32Array} samples
+   * @param {Array<Object>} sections - biquad coefficients
+   * @returns {Float32Array} new array
+   */
+  function filtfilt(samples, sections) {
+    const y = Float32Array.from(samples);
+    let i = 0;
+    while (i < y.length) {
+      while (i < y.length && Number.isNaN(y[i])) i++;
+      const from = i;
+      while (i < y.length && !Number.isNaN(y[i])) i++;
+      if (i > from) {
+        for (const c of sections) {
+          biquadPass(y, c, from, i, false);
+          biquadPass(y, c, from, i, true);
+        }
+      }
+    }
+    return y;
+  }
+
+  // ch.samples -> { key, samples, minMaxLevels, displayMin, displayMax }
+  const cache = new WeakMap();
+
+  /**
+   * The channel as the waveform view should draw it: a copy with filtered
+   * samples, display range and min/max levels. Paged channels hold only a
+   * window, so their copy has no levels (views of it draw the filtered
+   * samples; longer views fall back to the unfiltered overview). Filtered
+   * data is cached per samples array and settings.
+   * @param {Object} ch - recording channel
+   * @param {DisplayFilter} settings
+   * @returns {Object} `ch` itself when no filter is set
+   */
+  function filterChannelForDisplay(ch, settings) {
+    if (!isActive(settings) || !window.YASA_DSP || !ch.samples.length) return ch;
+    const key = `${settings.highpassHz}|${settings.lowpassHz}|${settings.notchHz}`;
+
+    let hit = cache.get(ch.samples);
+    if (!hit || hit.key !== key) {
+      const sections = designSections(settings, ch.fs);
+      if (!sections.length) return ch;
+
+      const samples = filtfilt(ch.samples, sections);
+      const tmp = { samples };
+      window.LucidifyComputeDisplayRanges({ channels: [tmp] });
+      hit = {
+        key,
+        samples,
+        displayMin: tmp.displayMin,
+        displayMax: tmp.displayMax,
+      };
+      if (ch.totalSamples == null) hit.minMaxLevels = window.LucidifyBuildMinMaxPyramid(samples);
+      cache.set(ch.samples, hit);
+    }
+
+    return Object.assign({}, ch, {
+      samples: hit.samples,
+      displayMin: hit.displayMin,
+      displayMax: hit.displayMax,
+      minMaxLevels: hit.minMaxLevels || [],
+    });
+  }
+
+  window.LucidifyDisplayFilterActive = isActive;
+  window.LucidifyFilterChannelForDisplay = filterChannelForDisplay;
+})();
@@ -0,0 +1,391 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Also loaded by edf_worker.js (overview pass), so no DOM access here.
+  const root = typeof window !== "undefined" ? window : self;
+
+  const BLOCK_BYTES = 1024 * 1024;            // file bytes per cached block
+  const CACHE_BUDGET_BYTES = 256 * 1024 * 1024; // decoded samples kept in the LRU
+  const OVERVIEW_BIN_SEC = 0.25;               // overview min/max resolution
+  const OVERVIEW_CHUNK_BYTES = 4 * 1024 * 1024;
+
+  function readBlob(file, start, end) {
+    return file.slice(start, end).arrayBuffer();
+  }
+
+  // Decode `n` consecutive data records from `bytes` into per-channel
+  // Float32Arrays (recording.channels order).
+  function decodeRecords(layout, bytes, n) {
+    const decoder = root.LucidifyCreateEdfRecordDecoder(
+      Object.assign({}, layout, { records: n }), { quiet: true });
+    for (let i = 0; i < n; i++) {
+      decoder.decodeRecord(bytes, i * layout.bytesPerRecord, i);
+    }
+    return decoder.finish();
+  }
+
+  /**
+   * Stream a continuous EDF/BDF file once and build per-channel min/max
+   * pyramids (finest level OVERVIEW_BIN_SEC per bin, coarser levels from
+   * minmax_pyramid.js) plus the EDF+ annotations. Runs in edf_worker.js,
+   * or on the main thread as fallback.
+   *
+   * @param {File} file
+   * @param {Object} [opts]
+   *   - binSec: overview bin length (s)
+   *   - onProgress(loadedBytes, totalBytes)
+   * @returns {Promise<{ pyramids: Array<Array<{binSamples, min, max}>>, annotations }>}
+   *   pyramids[i] (finest first) belongs to recording.channels[i]; empty
+   *   bins are NaN.
+   */
+  async function buildEdfOverview(file, opts = {}) {
+    const binSec = opts.binSec || OVERVIEW_BIN_SEC;
+    const headerBuf = await readBlob(file, 0, 256);
+    const nSignals = Number(new TextDecoder("ascii").decode(new Uint8Array(headerBuf, 252, 4)).trim());
+    const layout = root.LucidifyReadEdfLayout(
+      await readBlob(file, 0, 256 * (nSignals + 1)), { fileSize: file.size });
+    const { headerBytes, bytesPerRecord, records } = layout;
+
+    let levels = null;
+    const annotations = [];
+    const recordsPerChunk = Math.max(1, Math.floor(OVERVIEW_CHUNK_BYTES / bytesPerRecord));
+    const total = headerBytes + records * bytesPerRecord;
+
+    for (let r0 = 0; r0 < records; r0 += recordsPerChunk) {
+      const n = Math.min(recordsPerChunk, records - r0);
+      const start = headerBytes + r0 * bytesPerRecord;
+      const bytes = new Uint8Array(await readBlob(file, start, start + n * bytesPerRecord));
+      const chunk = decodeRecords(layout, bytes, n);
+
+      if (!levels) {
+        levels = chunk.channels.map((ch) => {
+          const binSamples = Math.max(1, Math.round(ch.fs * binSec));
+          const nSamp = layout.samplesPerRecord[ch.signalIndex];
+          const nBins = Math.ceil((records * nSamp) / binSamples);
+          return {
+            binSamples,
+            min: new Float32Array(nBins).fill(NaN),
+            max: new Float32Array(nBins).fill(NaN)
+          };
+        });
+      }
+
+      chunk.channels.forEach((ch, ci) => {
+        const level = levels[ci];
+        const first = r0 * layout.samplesPerRecord[ch.signalIndex];
+        const s = ch.samples;
+        for (let i = 0; i < s.length; i++) {
+          const v = s[i];
+          if (Number.isNaN(v)) continue;
+          const b = Math.floor((first + i) / level.binSamples);
+          if (!(v >= level.min[b])) level.min[b] = v;
+          if (!(v <= level.max[b])) level.max[b] = v;
+        }
+      });
+
+      // TAL onsets are file times already
+      for (const a of chunk.annotations) annotations.push(a);
+      if (opts.onProgress) opts.onProgress(start + bytes.length, total);
+    }
+
+    const pyramids = (levels || []).map((level) => root.LucidifyExtendMinMaxPyramid
+      ? root.LucidifyExtendMinMaxPyramid(level)
+      : [level]);
+    return { pyramids, annotations };
+  }
+
+  // ---------- Paged source ----------
+
+  /**
+   * On-demand access to a continuous EDF/BDF File that is too large to
+   * decode whole. Data records are read in blocks (~1 MB of file) and kept
+   * in a bounded LRU cache; the recording's channels hold only the samples
+   * of the current view window, starting at `ch.samplesStartSec`.
+   */
+  class PagedEdfSource {
+    constructor(file, layout) {
+      this.file = file;
+      this.layout = layout;
+      this.blockRecords = Math.max(1, Math.floor(BLOCK_BYTES / layout.bytesPerRecord));
+      this.nBlocks = Math.ceil(layout.records / this.blockRecords);
+
+      this._cache = new Map();    // block index -> decoded channels (LRU order)
+      this._cacheBytes = 0;
+      this._pending = new Map();  // block index -> Promise
+      this._windowSeq = 0;
+      this._overviewJob = null;
+      this.recording = null;
+
+      // Longest view that is paged in raw: window + margins in half the cache
+      let bytesPerSec = 0;
+      for (let s = 0; s < layout.nSignals; s++) {
+        if (layout.annotationSignals.includes(s)) continue;
+        bytesPerSec += 4 * layout.samplesPerRecord[s] / layout.durationSecPerRecord;
+      }
+      this.maxWindowSec = CACHE_BUDGET_BYTES / 2 / Math.max(1, bytesPerSec) / 2;
+    }
+
+    get blockSec() {
+      return this.blockRecords * this.layout.durationSecPerRecord;
+    }
+
+    async _readBlock(b) {
+      const cached = this._cache.get(b);
+      if (cached) {
+        this._cache.delete(b); // move to most recently used
+        this._cache.set(b, cached);
+        return cached;
+      }
+      if (this._pending.has(b)) return this._pending.get(b);
+
+      const { headerBytes, bytesPerRecord, records } = this.layout;
+      const r0 = b * this.blockRecords;
+      const n = Math.min(this.blockRecords, records - r0);
+      const start = headerBytes + r0 * bytesPerRecord;
+
+      const promise = readBlob(this.file, start, start + n * bytesPerRecord).then((buf) => {
+        const channels = decodeRecords(this.layout, new Uint8Array(buf), n)
+          .channels.map((ch) => ch.samples);
+        const size = channels.reduce((acc, s) => acc + s.byteLength, 0);
+        this._pending.delete(b);
+        this._cache.set(b, channels);
+        this._cacheBytes += size;
+        this._evict();
+        return channels;
+      }, (err) => {
+        this._pending.delete(b);
+        throw err;
+      });
+      this._pending.set(b, promise);
+      return promise;
+    }
+
+    _evict() {
+      for (const [b, channels] of this._cache) {
+        if (this._cacheBytes <= CACHE_BUDGET_BYTES || this._cache.size <= 1) break;
+        this._cache.delete(b);
+        this._cacheBytes -= channels.reduce((acc, s) => acc + s.byteLength, 0);
+      }
+    }
+
+    // Blocks [b0, b1) covering [startSec, endSec), clamped to the file
+    _blockRange(startSec, endSec) {
+      const b0 = Math.max(0, Math.floor(startSec / this.blockSec));
+      const b1 = Math.min(this.nBlocks, Math.ceil(endSec / this.blockSec));
+      return [b0, Math.max(b0, b1)];
+    }
+
+    /**
+     * Samples of some channels for [startSec, endSec), read through the
+     * block cache. Large ranges bypass the cache and keep only the
+     * requested channels, one block at a time.
+     * @param {number} startSec
+     * @param {number} endSec
+     * @param {number[]} channelIndices - indices into recording.channels
+     * @returns {Promise<{ startSec: number, channels: Array<Object> }>}
+     *   channels are copies of the recording channels with `samples` set
+     */
+    async readRange(startSec, endSec, channelIndices) {
+      const [b0, b1] = this._blockRange(startSec, endSec);
+      const rangeStartSec = b0 * this.blockSec;
+      const useCache = endSec - startSec <= this.maxWindowSec * 2;
+      const chans = this.recording.channels;
+
+      const out = channelIndices.map((ci) => {
+        const nSamp = this.layout.samplesPerRecord[chans[ci].signalIndex];
+        const r0 = b0 * this.blockRecords;
+        const r1 = Math.min(this.layout.records, b1 * this.blockRecords);
+        return new Float32Array(Math.max(0, r1 - r0) * nSamp);
+      });
+
+      let offsetRecords = 0;
+      for (let b = b0; b < b1; b++) {
+        let blockChannels;
+        if (useCache) {
+          blockChannels = await this._readBlock(b);
+        } else {
+          const { headerBytes, bytesPerRecord, records } = this.layout;
+          const r0 = b * this.blockRecords;
+          const n = Math.min(this.blockRecords, records - r0);
+          const start = headerBytes + r0 * bytesPerRecord;
+          const buf = await readBlob(this.file, start, start + n * bytesPerRecord);
+          blockChannels = decodeRecords(this.layout, new Uint8Array(buf), n)
+            .channels.map((ch) => ch.samples);
+        }
+        channelIndices.forEach((ci, k) => {
+          const nSamp = this.layout.samplesPerRecord[chans[ci].signalIndex];
+          out[k].set(blockChannels[ci], offsetRecords * nSamp);
+        });
+        offsetRecords += Math.min(this.blockRecords, this.layout.records - b * this.blockRecords);
+      }
+
+      return {
+        startSec: rangeStartSec,
+        channels: channelIndices.map((ci, k) =>
+          Object.assign({}, chans[ci], { samples: out[k], samplesStartSec: rangeStartSec }))
+      };
+    }
+
+    // File channels; derived montage channels (montage.js) follow them
+    _rawChannels() {
+      return this.recording.channels.filter((ch) => !ch.derivation);
+    }
+
+    /** True when every channel holds samples for [startSec, startSec + durSec). */
+    covers(startSec, durSec) {
+      const endSec = Math.min(startSec + durSec, this.recording.durationSec);
+      return this._rawChannels().every((ch) => {
+        const s0 = ch.samplesStartSec || 0;
+        return s0 <= startSec + 1e-9 && s0 + ch.samples.length / ch.fs >= endSec - 1e-9;
+      });
+    }
+
+    /**
+     * Page in the samples for a view window (plus a margin on both sides)
+     * and swap them into recording.channels. Views longer than
+     * `maxWindowSec` are left to the min/max overview.
+     * @returns {Promise<boolean>} true if the window is now loaded
+     */
+    async ensureWindow(startSec, durSec) {
+      if (durSec > this.maxWindowSec) return false;
+      if (this.covers(startSec, durSec)) return true;
+
+      const seq = ++this._windowSeq;
+      const margin = Math.min(durSec * 0.5, (this.maxWindowSec - durSec) / 2);
+      const raw = this._rawChannels();
+      const range = await this.readRange(startSec - margin, startSec + durSec + margin,
+                                         raw.map((_, i) => i));
+      if (seq !== this._windowSeq) return this.covers(startSec, durSec); // superseded
+
+      raw.forEach((ch, i) => {
+        ch.samples = range.channels[i].samples;
+        ch.samplesStartSec = range.startSec;
+      });
+      if (root.LucidifyUpdateDerivedChannels) root.LucidifyUpdateDerivedChannels(this.recording);
+      return true;
+    }
+
+    /**
+     * Build the min/max overview in the background (worker when possible)
+     * and attach its pyramid as `ch.minMaxLevels`; also fills
+     * recording.annotations and the display ranges.
+     */
+    async buildOverview(onProgress) {
+      let build;
+      if (root.LucidifyBuildEdfOverviewInWorker) {
+        this._overviewJob = root.LucidifyBuildEdfOverviewInWorker(this.file, { onProgress });
+        build = this._overviewJob.promise;
+      } else {
+        build = buildEdfOverview(this.file, { onProgress });
+      }
+      const { pyramids, annotations } = await build;
+      this._overviewJob = null;
+
+      this.recording.channels.forEach((ch, i) => {
+        const levels = pyramids[i];
+        if (!levels || !levels.length) return;
+        ch.minMaxLevels = levels;
+
+        const level = levels[levels.length - 1];
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (let b = 0; b < level.min.length; b++) {
+          if (level.min[b] < lo) lo = level.min[b];
+          if (level.max[b] > hi) hi = level.max[b];
+        }
+        if (Number.isFinite(lo) && Number.isFinite(hi) && lo < hi) {
+          ch.displayMin = lo;
+          ch.displayMax = hi;
+        }
+      });
+      this.recording.annotations = annotations.sort((a, b) => a.onset - b.onset);
+      return this.recording;
+    }
+
+    /** Stop the overview pass and drop cached blocks (new file loaded). */
+    close() {
+      if (this._overviewJob) this._overviewJob.cancel();
+      this._overviewJob = null;
+      this._cache.clear();
+      this._cacheBytes = 0;
+      this._windowSeq++;
+    }
+  }
+
+  /**
+   * Open a large continuous EDF/BDF for paging. Only the header is read;
+   * the returned Recording has empty channel windows (`recording.paged` is
+   * the PagedEdfSource). EDF+D files are rejected (err.code =
+   * "discontinuous"), since their records do not map linearly to time.
+   * @param {File} file
+   * @returns {Promise<Recording>}
+   */
+  async function openPagedEdf(file) {
+    const fixed = new Uint8Array(await readBlob(file, 0, 256));
+    const nSignals = Number(new TextDecoder("ascii").decode(fixed.subarray(252, 256)).trim());
+    const headerLen = Number.isInteger(nSignals) && nSignals > 0 ? 256 * (nSignals + 1) : 256;
+    const layout = root.LucidifyReadEdfLayout(await readBlob(file, 0, headerLen),
+                                              { fileSize: file.size });
+    if (layout.discontinuous) {
+      const err = new Error("EDF+D files cannot be paged");
+      err.code = "discontinuous";
+      throw err;
+    }
+
+    const source = new PagedEdfSource(file, layout);
+    const channels = [];
+    for (let s = 0; s < layout.nSignals; s++) {
+      if (layout.annotationSignals.includes(s)) continue;
+      const nSamp = layout.samplesPerRecord[s];
+      channels.push({
+        name: layout.labels[s],
+        fs: nSamp / layout.durationSecPerRecord,
+        samples: new Float32Array(0),
+        samplesStartSec: 0,
+        totalSamples: nSamp * layout.records,
+        physDim: layout.physDims[s] || "",
+        signalIndex: s,
+        transducer: layout.transducers[s],
+        prefilter: layout.prefilters[s],
+        physMin: layout.physMins[s],
+        physMax: layout.physMaxs[s],
+        digMin: layout.digMins[s],
+        digMax: layout.digMaxs[s],
+        displayMin: layout.physMins[s],
+        displayMax: layout.physMaxs[s],
+      });
+    }
+
+    source.recording = {
+      format: layout.format,
+      header: layout.header,
+      durationSec: layout.records * layout.durationSecPerRecord,
+      channels,
+      annotations: [],
+      gaps: [],
+      headerIssues: layout.headerIssues,
+      paged: source
+    };
+    return source.recording;
+  }
+
+  root.LucidifyBuildEdfOverview = buildEdfOverview;
+  root.LucidifyOpenPagedEdf = openPagedEdf;
+  root.PagedEdfSource = PagedEdfSource;
+})();
@@ -30,6 +30,80 @@
     return Number.isNaN(n) ? 0 : n;
   }
 
+  // BDF (BioSemi) shares the EDF header layout but starts with the byte
+  // 0xFF followed by "BIOSEMI" and stores 24-bit little-endian samples.
+  function isBdf(bytes) {
+    return bytes[0] === 0xff && readAscii(bytes, 1, 7) === "BIOSEMI";
+  }
+
+  function readInt24(bytes, offset) {
+    const v = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    return (v << 8) >> 8; // sign-extend
+  }
+
+  // Start date "dd.mm.yy" + time "hh.mm.ss" -> local Date (null if invalid).
+  // EDF clipping date: yy 85-99 -> 19yy, 00-84 -> 20yy.
+  function parseStartDateTime(dateTxt, timeTxt) {
+    const d = /^(\d{2})\.(\d{2})\.(\d{2})$/.exec(dateTxt);
+    const t = /^(\d{2})\.(\d{2})\.(\d{2})$/.exec(timeTxt);
+    if (!d || !t) return null;
+    const yy = Number(d[3]);
+    const year = yy >= 85 ? 1900 + yy : 2000 + yy;
+    const date = new Date(year, Number(d[2]) - 1, Number(d[1]),
+                          Number(t[1]), Number(t[2]), Number(t[3]));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // ---- EDF+ annotations (TALs) -------------------------------------------
+
+  function isAnnotationSignal(label) {
+    const l = label.trim();
+    return l === "EDF Annotations" || l === "BDF Annotations";
+  }
+
+  // One TAL: "+onset[\x15duration]\x14text\x14[text\x14...]"
+  function parseTal(txt) {
+    const parts = txt.split("\x14");
+    const head = parts[0];
+    if (!head) return null;
+
+    const i15 = head.indexOf("\x15");
+    const onset = Number(i15 >= 0 ? head.slice(0, i15) : head);
+    if (!Number.isFinite(onset)) return null;
+
+    const durTxt = i15 >= 0 ? head.slice(i15 + 1) : "";
+    const duration = durTxt.length ? Number(durTxt) : null;
+
+    const texts = parts.slice(1);
+    if (texts.length && texts[texts.length - 1] === "") texts.pop();
+
+    return {
+      onset,
+      duration: Number.isFinite(duration) ? duration : null,
+      texts
+    };
+  }
+
+  // Decode every TAL in one annotation-signal block of a data record.
+  // TALs are NUL-terminated; trailing NULs pad the block.
+  function parseTals(bytes, start, length) {
+    const tals = [];
+    const end = Math.min(bytes.length, start + length);
+    const decoder = new TextDecoder("utf-8");
+
+    let i = start;
+    while (i < end) {
+      let j = i;
+      while (j < end && bytes[j] !== 0) j++;
+      if (j > i) {
+        const tal = parseTal(decoder.decode(bytes.subarray(i, j)));
+        if (tal) tals.push(tal);
+      }
+      i = j + 1;
+    }
+    return tals;
+  }
+
   // --- Recording model utilities ----------------------------------------
 
   function computeDisplayRanges(recording) {
@@ -94,28 +168,335 @@
     return recording;
   }
 
+  // ---- Header validation / repair ----------------------------------------
+
+  const BDF_DIGITAL_RANGE = [-8388608, 8388607];
+  const EDF_DIGITAL_RANGE = [-32768, 32767];
+
+  function readNumberOrNull(bytes, start, length) {
+    const txt = readAscii(bytes, start, length);
+    const n = Number(txt);
+    return txt && Number.isFinite(n) ? n : null;
+  }
+
+  // Printable US-ASCII (0x20-0x7E) is all the EDF spec allows in the header.
+  function hasNonAscii(bytes, start, length) {
+    const end = Math.min(bytes.length, start + length);
+    for (let i = start; i < end; i++) {
+      if (bytes[i] < 0x20 || bytes[i] > 0x7e) return true;
+    }
+    return false;
+  }
+
+  function writeAsciiField(bytes, start, length, txt) {
+    const s = String(txt).slice(0, length).padEnd(length, " ");
+    for (let i = 0; i < length; i++) bytes[start + i] = s.charCodeAt(i);
+  }
+
+  // Header text fields (offset/length) for a header with nSignals signals.
+  function headerTextFields(nSignals) {
+    const fields = [
+      { name: "version",        start: 0,   length: 8 },
+      { name: "patient ID",     start: 8,   length: 80 },
+      { name: "recording ID",   start: 88,  length: 80 },
+      { name: "start date",     start: 168, length: 8 },
+      { name: "start time",     start: 176, length: 8 },
+      { name: "header bytes",   start: 184, length: 8 },
+      { name: "reserved",       start: 192, length: 44 },
+      { name: "data records",   start: 236, length: 8 },
+      { name: "record duration",start: 244, length: 8 },
+      { name: "signals",        start: 252, length: 4 },
+    ];
+    const perSignal = [
+      ["label", 16], ["transducer", 80], ["physical dimension", 8],
+      ["physical minimum", 8], ["physical maximum", 8],
+      ["digital minimum", 8], ["digital maximum", 8],
+      ["prefiltering", 80], ["samples per record", 8], ["signal reserved", 32],
+    ];
+    let off = 256;
+    for (const [name, length] of perSignal) {
+      for (let s = 0; s < nSignals; s++) {
+        fields.push({ name, start: off + length * s, length, signal: s });
+      }
+      off += length * nSignals;
+    }
+    return fields;
+  }
+
+  /**
+   * Check an EDF/EDF+ or BDF/BDF+ header against the spec.
+   *
+   * Returns structured issues instead of throwing, so the viewer can show
+   * what is wrong with a vendor file and which fixes are safe:
+   *   { code, severity: "error" | "warning", message, signal?, repair? }
+   * `repair` (when present) describes the fix `repairEdfHeader` applies.
+   *
+   * @param {ArrayBuffer} buffer - the whole file, or at least its header
+   * @param {Object} [opts]
+   *   - fileSize: total file size in bytes when `buffer` holds only the
+   *     header (defaults to buffer.byteLength)
+   * @returns {{ issues: Array<Object>, repaired: Object }}
+   *   `repaired` holds the corrected header values the repairs would write
+   *   (nDataRecords, headerBytes, reserved, ...).
+   */
+  function validateEdfHeader(buffer, opts = {}) {
+    const bytes = new Uint8Array(buffer);
+    const fileSize = opts.fileSize != null ? opts.fileSize : bytes.length;
+    const issues = [];
+    const repaired = {};
+    const add = (code, severity, message, extra) =>
+      issues.push(Object.assign({ code, severity, message }, extra));
+
+    if (bytes.length < 256) {
+      add("short-file", "error", `File is ${bytes.length} bytes; an EDF header needs at least 256.`);
+      return { issues, repaired };
+    }
+
+    const format = isBdf(bytes) ? "BDF" : "EDF";
+    const bytesPerSample = format === "BDF" ? 3 : 2;
+    const digitalRange = format === "BDF" ? BDF_DIGITAL_RANGE : EDF_DIGITAL_RANGE;
+
+    if (format === "EDF" && readAscii(bytes, 0, 8) !== "0") {
+      add("version", "warning",
+          `Version field is "${readAscii(bytes, 0, 8)}"; EDF requires "0".`,
+          { repair: 'Set the version field to "0".' });
+      repaired.version = "0";
+    }
+
+    const nSignals = readNumberOrNull(bytes, 252, 4);
+    if (nSignals == null || nSignals <= 0 || !Number.isInteger(nSignals)) {
+      add("signal-count", "error",
+          `Number of signals "${readAscii(bytes, 252, 4)}" is not a positive integer.`);
+      return { issues, repaired };
+    }
+
+    const expectedHeaderBytes = 256 * (nSignals + 1);
+    const headerBytes = readNumberOrNull(bytes, 184, 8);
+    if (headerBytes !== expectedHeaderBytes) {
+      add("header-bytes", "error",
+          `Header size field is "${readAscii(bytes, 184, 8)}"; ` +
+          `${nSignals} signals need ${expectedHeaderBytes} bytes.`,
+          { repair: `Set the header size to ${expectedHeaderBytes}.` });
+      repaired.headerBytes = expectedHeaderBytes;
+    }
+    if (bytes.length < expectedHeaderBytes) {
+      add("short-header", "error",
+          `Only ${bytes.length} of ${expectedHeaderBytes} header bytes are present.`);
+      return { issues, repaired };
+    }
+
+    // Non-ASCII bytes (the BDF magic byte 0xFF is allowed)
+    const badFields = [];
+    for (const f of headerTextFields(nSignals)) {
+      const start = format === "BDF" && f.start === 0 ? 1 : f.start;
+      if (hasNonAscii(bytes, start, f.length - (start - f.start))) {
+        badFields.push(f.signal != null ? `${f.name} (signal ${f.signal + 1})` : f.name);
+      }
+    }
+    if (badFields.length) {
+      add("non-ascii", "warning",
+          `Non-ASCII bytes in: ${badFields.join(", ")}.`,
+          { repair: 'Replace non-ASCII header bytes with "_".' });
+      repaired.asciiOnly = true;
+    }
+
+    const recordDurationSec = readNumberOrNull(bytes, 244, 8);
+    if (recordDurationSec == null || recordDurationSec < 0) {
+      add("record-duration", "error",
+          `Record duration "${readAscii(bytes, 244, 8)}" is not a number >= 0.`);
+    } else if (recordDurationSec === 0) {
+      add("record-duration", "error",
+          "Record duration is 0 (annotation-only files are not supported).");
+    }
+
+    if (!parseStartDateTime(readAscii(bytes, 168, 8), readAscii(bytes, 176, 8))) {
+      add("start-date-time", "warning",
+          `Start date/time "${readAscii(bytes, 168, 8)} ${readAscii(bytes, 176, 8)}" ` +
+          'is not "dd.mm.yy hh.mm.ss".');
+    }
+
+    // Per-signal fields
+    const labelsOffset  = 256;
+    const physMinOffset = labelsOffset  + 104 * nSignals;
+    const digMinOffset  = physMinOffset +  16 * nSignals;
+    const nSampOffset   = digMinOffset  +  96 * nSignals;
+
+    let bytesPerRecord = 0;
+    let hasAnnotationSignal = false;
+    let samplesOk = true;
+    for (let s = 0; s < nSignals; s++) {
+      const label   = readAscii(bytes, labelsOffset + 16 * s, 16);
+      const physMin = readNumberOrNull(bytes, physMinOffset + 8 * s, 8);
+      const physMax = readNumberOrNull(bytes, physMinOffset + 8 * (nSignals + s), 8);
+      const digMin  = readNumberOrNull(bytes, digMinOffset + 8 * s, 8);
+      const digMax  = readNumberOrNull(bytes, digMinOffset + 8 * (nSignals + s), 8);
+      const nSamp   = readNumberOrNull(bytes, nSampOffset + 8 * s, 8);
+      const name = `Signal ${s + 1} "${label}"`;
+      if (isAnnotationSignal(label)) hasAnnotationSignal = true;
+
+      if (nSamp == null || nSamp <= 0 || !Number.isInteger(nSamp)) {
+        add("samples-per-record", "error",
+            `${name}: samples per record "${readAscii(bytes, nSampOffset + 8 * s, 8)}" ` +
+            "is not a positive integer.", { signal: s });
+        samplesOk = false;
+      } else {
+        bytesPerRecord += nSamp * bytesPerSample;
+      }
+
+      if (physMin == null || physMax == null) {
+        add("number-field", "error",
+            `${name}: physical minimum/maximum is not a number.`, { signal: s });
+      } else if (physMin === physMax) {
+        add("physical-range", "warning",
+            `${name}: physical minimum equals maximum (${physMin}).`, { signal: s });
+      }
+
+      if (digMin == null || digMax == null) {
+        add("number-field", "error",
+            `${name}: digital minimum/maximum is not a number.`, { signal: s });
+      } else {
+        if (digMin >= digMax) {
+          add("digital-range", "error",
+              `${name}: digital minimum (${digMin}) is not below maximum (${digMax}); ` +
+              "samples cannot be scaled.", { signal: s });
+        }
+        if (digMin < digitalRange[0] || digMax > digitalRange[1]) {
+          add("digital-range", "warning",
+              `${name}: digital range ${digMin}..${digMax} exceeds the ` +
+              `${format} range ${digitalRange[0]}..${digitalRange[1]}.`, { signal: s });
+        }
+      }
+    }
+
+    // Reserved field: "" / "EDF+C" / "EDF+D" (EDF), "24BIT" / "BDF+C" / "BDF+D" (BDF)
+    const reserved = readAscii(bytes, 192, 44);
+    const plain = format === "BDF" ? "24BIT" : "";
+    const plus = format === "BDF" ? "BDF+" : "EDF+";
+    const validReserved = [plain, plus + "C", plus + "D"];
+    if (!validReserved.includes(reserved)) {
+      const fix = reserved.startsWith(plus + "D") && hasAnnotationSignal ? plus + "D"
+                : hasAnnotationSignal ? plus + "C"
+                : plain;
+      add("reserved", "warning",
+          `Reserved field is "${reserved}"; expected ` +
+          validReserved.map((v) => `"${v}"`).join(", ") + ".",
+          { repair: `Set the reserved field to "${fix}".` });
+      repaired.reserved = fix;
+    } else if (reserved.startsWith(plus) && !hasAnnotationSignal) {
+      add("reserved", "warning",
+          `Reserved field is "${reserved}" but there is no ${plus} Annotations signal.`,
+          { repair: `Set the reserved field to "${plain}".` });
+      repaired.reserved = plain;
+    }
+
+    // Record count vs. file size
+    if (!samplesOk || bytesPerRecord <= 0) return { issues, repaired };
+
+    const nDataRecords = readNumberOrNull(bytes, 236, 8);
+    const dataBytes = fileSize - expectedHeaderBytes;
+    const recordsInFile = Math.max(0, Math.floor(dataBytes / bytesPerRecord));
+    const partialBytes = dataBytes - recordsInFile * bytesPerRecord;
+
+    if (nDataRecords === -1 || nDataRecords == null || nDataRecords < -1 ||
+        !Number.isInteger(nDataRecords)) {
+      add("record-count", nDataRecords === -1 ? "warning" : "error",
+          `Number of data records is "${readAscii(bytes, 236, 8)}"` +
+          (nDataRecords === -1 ? " (recording was not closed)." : "."),
+          { repair: `Set the record count to ${recordsInFile} from the file size.` });
+      repaired.nDataRecords = recordsInFile;
+    } else if (nDataRecords > recordsInFile) {
+      add("file-size", "error",
+          `File is truncated: the header lists ${nDataRecords} records but ` +
+          `only ${recordsInFile} complete records fit in ${fileSize} bytes.`,
+          { repair: `Set the record count to ${recordsInFile}.` });
+      repaired.nDataRecords = recordsInFile;
+    } else if (dataBytes !== nDataRecords * bytesPerRecord) {
+      add("file-size", "warning",
+          `File has ${dataBytes - nDataRecords * bytesPerRecord} bytes after the ` +
+          `${nDataRecords} records listed in the header; they are ignored.`);
+    }
+    if (partialBytes > 0 && repaired.nDataRecords != null) {
+      add("partial-record", "warning",
+          `The last ${partialBytes} bytes do not form a complete data record.`);
+    }
+
+    return { issues, repaired };
+  }
+
+  /**
+   * Apply the safe repairs found by `validateEdfHeader` to a copy of the
+   * file: record count, header size, reserved field, version and non-ASCII
+   * header bytes. Sample data is never touched.
+   * @param {ArrayBuffer} buffer - the whole file, or its header
+   * @param {Object} [opts]
+   *   - fileSize: total file size when `buffer` holds only the header
+   * @returns {{ buffer: ArrayBuffer, applied: Array<Object> }}
+   *   the repaired copy and the issues whose repair was applied
+   */
+  function repairEdfHeader(buffer, opts = {}) {
+    const { issues, repaired } = validateEdfHeader(buffer, opts);
+    const out = buffer.slice(0);
+    const bytes = new Uint8Array(out);
+
+    if (repaired.asciiOnly) {
+      const nSignals = readNumberOrNull(bytes, 252, 4);
+      const end = Math.min(bytes.length, 256 * (nSignals + 1));
+      for (let i = isBdf(bytes) ? 1 : 0; i < end; i++) {
+        if (bytes[i] < 0x20 || bytes[i] > 0x7e) bytes[i] = 0x5f; // "_"
+      }
+    }
+    if (repaired.version != null)      writeAsciiField(bytes, 0, 8, repaired.version);
+    if (repaired.headerBytes != null)  writeAsciiField(bytes, 184, 8, repaired.headerBytes);
+    if (repaired.reserved != null)     writeAsciiField(bytes, 192, 44, repaired.reserved);
+    if (repaired.nDataRecords != null) writeAsciiField(bytes, 236, 8, repaired.nDataRecords);
+
+    return { buffer: out, applied: issues.filter((i) => i.repair) };
+  }
+
   // ---- Full EDF parser --------------------------------------------------
 
-  function parseEdf(buffer) {
+  function invalidHeaderError(headerIssues) {
+    const err = new Error("Invalid EDF header");
+    err.headerIssues = headerIssues;
+    return err;
+  }
+
+  /**
+   * Read the fixed and per-signal header into the record layout shared by
+   * `parseEdf` and the streaming worker (edf_worker.js).
+   * @param {ArrayBuffer} buffer - the whole file, or at least its header
+   * @param {Object} [opts]
+   *   - fileSize: total file size when `buffer` holds only the header
+   * @returns {Object} layout (header fields, per-signal arrays, byte offsets)
+   */
+  function readEdfLayout(buffer, opts = {}) {
     const bytes = new Uint8Array(buffer);
-    const dv = new DataView(buffer);
+    const fileSize = opts.fileSize != null ? opts.fileSize : bytes.length;
 
     const headerBytes          = readNumber(bytes, 184, 8);
     const nDataRecords         = readNumber(bytes, 236, 8);
     const durationSecPerRecord = readNumber(bytes, 244, 8);
     const nSignals             = readNumber(bytes, 252, 4);
+    const reserved             = readAscii(bytes, 192, 44);
+    const discontinuous        = reserved.startsWith("EDF+D") ||
+                                 reserved.startsWith("BDF+D");
+    const format               = isBdf(bytes) ? "BDF" : "EDF";
+    const bytesPerSample       = format === "BDF" ? 3 : 2;
 
     console.log("EDF headerBytes:", headerBytes,
                 "nDataRecords:", nDataRecords,
                 "dur/rec:", durationSecPerRecord,
                 "nSignals:", nSignals);
 
+    const { issues: headerIssues } = validateEdfHeader(buffer, { fileSize });
+
     if (!Number.isFinite(headerBytes) ||
+        headerBytes < 256 ||
         !Number.isFinite(nSignals) ||
         nSignals <= 0 ||
         !Number.isFinite(durationSecPerRecord) ||
         durationSecPerRecord <= 0) {
-      throw new Error("Invalid EDF header");
+      throw invalidHeaderError(headerIssues);
     }
 
     const base = 256;
@@ -137,6 +518,9 @@
     const digMaxs = [];
     const samplesPerRecord = [];
 	const physDims = [];
+    const transducers = [];
+    const prefilters = [];
+    const annotationSignals = [];
 
     for (let s = 0; s < nSignals; s++) {
       const label   = readAscii(bytes, labelsOffset           + 16 * s, 16);
@@ -148,88 +532,326 @@
 	  const physDim = readAscii(bytes, physDimOffset + 8 * s, 8).trim();
 	  labels.push(label);
 	  physDims.push(physDim);
+      transducers.push(readAscii(bytes, transducerOffset + 80 * s, 80));
+      prefilters.push(readAscii(bytes, prefilterOffset + 80 * s, 80));
       physMins.push(physMin);
       physMaxs.push(physMax);
       digMins.push(digMin);
       digMaxs.push(digMax);
       samplesPerRecord.push(nSamp);
-
+      if (isAnnotationSignal(label)) annotationSignals.push(s);
     }
 
     const bytesPerRecord =
-      samplesPerRecord.reduce((acc, n) => acc + n * 2, 0);
+      samplesPerRecord.reduce((acc, n) => acc + n * bytesPerSample, 0);
+
+    if (!(bytesPerRecord > 0)) throw invalidHeaderError(headerIssues);
 
     let records = nDataRecords;
     if (records <= 0) {
-      records = Math.floor((bytes.length - headerBytes) / bytesPerRecord);
+      records = Math.max(0, Math.floor((fileSize - headerBytes) / bytesPerRecord));
     }
 
-    const durationSec = records * durationSecPerRecord;
-    const channels = [];
-
     const signalOffsets = [];
     let off = 0;
     for (let s = 0; s < nSignals; s++) {
       signalOffsets.push(off);
-      off += samplesPerRecord[s] * 2;
+      off += samplesPerRecord[s] * bytesPerSample;
     }
 
+    const startDate = readAscii(bytes, 168, 8);
+    const startTime = readAscii(bytes, 176, 8);
+    const header = {
+      format,
+      version: format === "BDF" ? "BIOSEMI" : readAscii(bytes, 0, 8),
+      patientId: readAscii(bytes, 8, 80),
+      recordingId: readAscii(bytes, 88, 80),
+      startDate,
+      startTime,
+      startDateTime: parseStartDateTime(startDate, startTime),
+      headerBytes,
+      reserved,
+      nDataRecords,
+      recordDurationSec: durationSecPerRecord,
+      nSignals
+    };
+
+    return {
+      format,
+      header,
+      headerIssues,
+      headerBytes,
+      records,
+      durationSecPerRecord,
+      nSignals,
+      discontinuous,
+      bytesPerSample,
+      bytesPerRecord,
+      signalOffsets,
+      labels,
+      physDims,
+      transducers,
+      prefilters,
+      physMins,
+      physMaxs,
+      digMins,
+      digMaxs,
+      samplesPerRecord,
+      annotationSignals
+    };
+  }
+
+  /**
+   * Onset (file time, s) of a record's time-keeping TAL, or null.
+   * @param {Object} layout - from readEdfLayout
+   * @param {Uint8Array} bytes
+   * @param {number} recordBase - byte offset of the record in `bytes`
+   */
+  function readRecordOnset(layout, bytes, recordBase) {
+    const s = layout.annotationSignals[0];
+    if (s == null) return null;
+    const tals = parseTals(bytes, recordBase + layout.signalOffsets[s],
+                           layout.samplesPerRecord[s] * layout.bytesPerSample);
+    return tals.length ? tals[0].onset : null;
+  }
+
+  /**
+   * Record-by-record decoder: feed it data records in file order (in any
+   * chunking) and `finish()` returns the Recording `parseEdf` would build.
+   * @param {Object} layout - from readEdfLayout
+   * @param {Object} [opts]
+   *   - timeOriginSec: file time (s) that maps to t = 0
+   *   - capacitySec: expected EDF+D span (e.g. from the last record's
+   *     onset); channel buffers grow if records land beyond it
+   *   - quiet: no console summary (block-wise decoding)
+   */
+  function createEdfRecordDecoder(layout, opts = {}) {
+    const timeOriginSec = opts.timeOriginSec || 0;
+    const {
+      records, durationSecPerRecord, nSignals, discontinuous,
+      bytesPerSample, signalOffsets, samplesPerRecord, annotationSignals
+    } = layout;
+
+    // EDF+ annotations: every TAL with non-empty texts becomes one entry per
+    // text. The empty first annotation of each record is only time-keeping:
+    // its onset is the start time of that record.
+    const annotations = [];
+    const recordStartSec = new Float64Array(records);
+
+    const capacitySec = opts.capacitySec > 0
+      ? opts.capacitySec
+      : records * durationSecPerRecord;
+
+    const decoded = [];
     for (let s = 0; s < nSignals; s++) {
-      const totalSamples = samplesPerRecord[s] * records;
-      const samples = new Float32Array(totalSamples);
+      if (annotationSignals.includes(s)) continue;
 
-      const digMin = digMins[s];
-      const digMax = digMaxs[s];
-      const physMin = physMins[s];
-      const physMax = physMaxs[s];
+      const fs = samplesPerRecord[s] / durationSecPerRecord;
+      const nSamp = samplesPerRecord[s];
+      const samples = new Float32Array(discontinuous
+        ? Math.ceil(capacitySec * fs)
+        : nSamp * records);
+      if (discontinuous) samples.fill(NaN);
+
+      const digMin = layout.digMins[s];
+      const digMax = layout.digMaxs[s];
+      const physMin = layout.physMins[s];
 
       const denom = (digMax - digMin) || 1;
-      const scale = (physMax - physMin) / denom;
-      const baseVal = physMin - scale * digMin;
-	  const physDim = physDims[s] || "";
-	  let unitMul = 1.0;
-   
-   	  // normalize common EEG units to volts
-   	  if (physDim === "uV" || physDim === "µV") unitMul = 1e-6;
-   	  else if (physDim === "mV") unitMul = 1e-3;
-   	  // "V" -> 1.0
-      let writeIndex = 0;
-
-      for (let r = 0; r < records; r++) {
-        const recordBase = headerBytes + r * bytesPerRecord;
-        const signalBase = recordBase + signalOffsets[s];
-        const nSamp = samplesPerRecord[s];
-
-        for (let i = 0; i < nSamp; i++) {
-          const byteOffset = signalBase + i * 2;
-          if (byteOffset + 1 >= bytes.length) break;
-          const digit = dv.getInt16(byteOffset, true);
-          samples[writeIndex++] = (baseVal + scale * digit);
+      const scale = (layout.physMaxs[s] - physMin) / denom;
+      decoded.push({ s, fs, nSamp, samples, scale, baseVal: physMin - scale * digMin });
+    }
+
+    // EDF+D buffers grow (NaN-filled) when a record lands past the estimate
+    function ensureCapacity(ch, n) {
+      if (n <= ch.samples.length) return;
+      const grown = new Float32Array(Math.max(n, Math.ceil(ch.samples.length * 1.5)));
+      grown.fill(NaN, ch.samples.length);
+      grown.set(ch.samples);
+      ch.samples = grown;
+    }
+
+    let dv = null;
+    let dvBytes = null;
+
+    /**
+     * Decode data record `r` starting at byte `recordBase` of `bytes`.
+     * A record cut short by the end of `bytes` is decoded as far as it goes.
+     */
+    function decodeRecord(bytes, recordBase, r) {
+      if (bytes !== dvBytes) {
+        dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        dvBytes = bytes;
+      }
+
+      let recordOnset = null;
+      for (const s of annotationSignals) {
+        const tals = parseTals(bytes, recordBase + signalOffsets[s],
+                               samplesPerRecord[s] * bytesPerSample);
+        if (recordOnset == null && tals.length) recordOnset = tals[0].onset;
+        for (const tal of tals) {
+          for (const text of tal.texts) {
+            if (!text) continue;
+            annotations.push({
+              onset: tal.onset - timeOriginSec,
+              duration: tal.duration,
+              text
+            });
+          }
         }
       }
 
-      const fs = samplesPerRecord[s] / durationSecPerRecord;
-      channels.push({
-        name: labels[s],
-        fs,
-        samples,
-		physDim: physDims[s] || "",
+      if (discontinuous && recordOnset != null) {
+        recordStartSec[r] = recordOnset - timeOriginSec;
+      } else if (discontinuous && r > 0) {
+        // Missing time-keeping TAL: assume it follows the previous record
+        recordStartSec[r] = recordStartSec[r - 1] + durationSecPerRecord;
+      } else {
+        recordStartSec[r] = r * durationSecPerRecord;
+      }
+
+      for (const ch of decoded) {
+        const signalBase = recordBase + signalOffsets[ch.s];
+        let writeIndex = discontinuous
+          ? Math.round(recordStartSec[r] * ch.fs)
+          : r * ch.nSamp;
+        if (writeIndex < 0) continue;
+        if (discontinuous) ensureCapacity(ch, writeIndex + ch.nSamp);
+
+        const samples = ch.samples;
+        const end = Math.min(samples.length, writeIndex + ch.nSamp);
+        for (let i = 0; writeIndex < end; i++) {
+          const byteOffset = signalBase + i * bytesPerSample;
+          if (byteOffset + bytesPerSample > bytes.length) break;
+          const digit = bytesPerSample === 3
+            ? readInt24(bytes, byteOffset)
+            : dv.getInt16(byteOffset, true);
+          samples[writeIndex++] = (ch.baseVal + ch.scale * digit);
+        }
+      }
+    }
+
+    function finish() {
+      annotations.sort((a, b) => a.onset - b.onset);
+
+      let durationSec = records * durationSecPerRecord;
+      const gaps = [];
+      if (discontinuous) {
+        let cursor = 0;
+        for (let r = 0; r < records; r++) {
+          const t0 = recordStartSec[r];
+          if (t0 > cursor + 1e-6) gaps.push({ startSec: cursor, endSec: t0 });
+          cursor = Math.max(cursor, t0 + durationSecPerRecord);
+        }
+        durationSec = cursor;
+      }
+
+      const channels = decoded.map((ch) => {
+        let samples = ch.samples;
+        if (discontinuous) {
+          const n = Math.ceil(durationSec * ch.fs);
+          if (n !== samples.length) {
+            ensureCapacity(ch, n);
+            samples = ch.samples.slice(0, n);
+          }
+        }
+        const s = ch.s;
+        return {
+          name: layout.labels[s],
+          fs: ch.fs,
+          samples,
+		  physDim: layout.physDims[s] || "",
+          signalIndex: s,
+          transducer: layout.transducers[s],
+          prefilter: layout.prefilters[s],
+          physMin: layout.physMins[s],
+          physMax: layout.physMaxs[s],
+          digMin: layout.digMins[s],
+          digMax: layout.digMaxs[s],
+        };
       });
+
+      if (!opts.quiet) {
+        console.log("EDF parsed: channels =", channels.length,
+                    "annotations =", annotations.length,
+                    "gaps =", gaps.length,
+                    "durationSec =", durationSec);
+      }
+
+      const recording = {
+        format: layout.format,
+        header: layout.header,
+        durationSec,
+        channels,
+        annotations,
+        gaps,
+        headerIssues: layout.headerIssues
+      };
+
+      computeDisplayRanges(recording);
+      return recording;
     }
 
-    console.log("EDF parsed: channels =", channels.length,
-                "durationSec =", durationSec);
-    const recording = {
-      durationSec,
-      channels
-    };
+    return { decodeRecord, finish };
+  }
 
-    computeDisplayRanges(recording);
-    return recording;
+  /**
+   * Parse an EDF/EDF+ or BDF/BDF+ file into a Recording.
+   *
+   * EDF+ "EDF Annotations" signals are decoded into `recording.annotations`
+   * ({ onset, duration, text }, seconds) and left out of `recording.channels`.
+   *
+   * EDF+D (discontinuous) records are placed at the onset of their
+   * time-keeping TAL instead of back to back. Samples in the gaps between
+   * records are NaN, so sample index = time * fs holds for every channel,
+   * and the gaps are listed in `recording.gaps` ({ startSec, endSec }).
+   *
+   * The fixed header is kept on `recording.header` (patient/recording IDs,
+   * start date/time, reserved field, ...) and each channel carries its own
+   * transducer, prefilter and physical/digital range.
+   *
+   * Spec violations found by `validateEdfHeader` are listed in
+   * `recording.headerIssues`; when the header is unusable the thrown error
+   * carries them as `err.headerIssues`.
+   *
+   * @param {ArrayBuffer} buffer
+   * @param {Object} [opts]
+   *   - timeOriginSec: file time (s) that maps to t = 0 of the recording;
+   *     used when the buffer holds a slice of records from a larger file.
+   */
+  function parseEdf(buffer, opts = {}) {
+    const bytes = new Uint8Array(buffer);
+    const layout = readEdfLayout(buffer);
+    const { headerBytes, bytesPerRecord, records } = layout;
+
+    let capacitySec = 0;
+    if (layout.discontinuous && records > 0) {
+      const lastOnset = readRecordOnset(layout, bytes, headerBytes + (records - 1) * bytesPerRecord);
+      if (lastOnset != null) {
+        capacitySec = lastOnset - (opts.timeOriginSec || 0) + layout.durationSecPerRecord;
+      }
+    }
+
+    const decoder = createEdfRecordDecoder(layout, {
+      timeOriginSec: opts.timeOriginSec,
+      capacitySec
+    });
+    for (let r = 0; r < records; r++) {
+      decoder.decodeRecord(bytes, headerBytes + r * bytesPerRecord, r);
+    }
+    return decoder.finish();
   }
 
-  // Expose API on window
-  window.LucidifyParseEdf = parseEdf;
-  window.LucidifyCreateFakeRecording = createFakeRecording;
-  window.LucidifyComputeDisplayRanges = computeDisplayRanges;
+  // Expose API on window (or on the worker global when loaded by
+  // edf_worker.js through importScripts)
+  const root = typeof window !== "undefined" ? window : self;
+  root.LucidifyParseEdf = parseEdf;
+  root.LucidifyReadEdfLayout = readEdfLayout;
+  root.LucidifyReadEdfRecordOnset = readRecordOnset;
+  root.LucidifyCreateEdfRecordDecoder = createEdfRecordDecoder;
+  root.LucidifyCreateFakeRecording = createFakeRecording;
+  root.LucidifyIsEdfAnnotationSignal = isAnnotationSignal;
+  root.LucidifyComputeDisplayRanges = computeDisplayRanges;
+  root.LucidifyValidateEdfHeader = validateEdfHeader;
+  root.LucidifyRepairEdfHeader = repairEdfHeader;
 })();
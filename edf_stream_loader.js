@@ -0,0 +1,145 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  const WORKER_URL = "edf_worker.js";
+
+  function cancelledError() {
+    const err = new Error("EDF load cancelled");
+    err.cancelled = true;
+    return err;
+  }
+
+  // Main-thread fallback (e.g. file:// pages, where workers cannot start):
+  // one ArrayBuffer and the synchronous parser.
+  async function parseOnMainThread(file, opts) {
+    let buffer = await file.arrayBuffer();
+    let applied = [];
+    if (opts.repair) {
+      ({ buffer, applied } = window.LucidifyRepairEdfHeader(buffer));
+    }
+    if (opts.onProgress) opts.onProgress(file.size, file.size);
+    return { recording: window.LucidifyParseEdf(buffer), applied };
+  }
+
+  // Run one edf_worker.js job. `fallback()` runs the same job on the main
+  // thread when the worker cannot start; `result(msg)` maps the worker's
+  // "done" message to the resolved value.
+  function runWorkerJob(message, opts, fallback, result) {
+    let worker = null;
+    let settled = false;
+    let rejectFn = null;
+
+    const promise = new Promise((resolve, reject) => {
+      rejectFn = reject;
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        if (worker) worker.terminate();
+        fn(value);
+      };
+      const runFallback = (why) => {
+        console.warn("EDF worker unavailable, running on the main thread:", why);
+        if (worker) worker.terminate();
+        worker = null;
+        fallback().then(
+          (res) => finish(resolve, res),
+          (err) => finish(reject, err));
+      };
+
+      try {
+        worker = new Worker(WORKER_URL);
+      } catch (err) {
+        runFallback(err);
+        return;
+      }
+
+      let started = false;
+      worker.onmessage = (ev) => {
+        const msg = ev.data || {};
+        started = true;
+        if (msg.type === "progress") {
+          if (opts.onProgress) opts.onProgress(msg.loaded, msg.total);
+        } else if (msg.type === "done") {
+          finish(resolve, result(msg));
+        } else if (msg.type === "error") {
+          const err = new Error(msg.message);
+          err.headerIssues = msg.headerIssues;
+          finish(reject, err);
+        }
+      };
+      // A script that fails to load errors before any message arrives
+      worker.onerror = (ev) => {
+        ev.preventDefault();
+        if (!started) runFallback(ev.message || "worker failed to start");
+        else finish(reject, new Error(ev.message || "EDF worker failed"));
+      };
+
+      worker.postMessage(message);
+    });
+
+    function cancel() {
+      if (settled) return;
+      settled = true;
+      if (worker) worker.terminate();
+      rejectFn(cancelledError());
+    }
+
+    return { promise, cancel };
+  }
+
+  /**
+   * Parse an EDF/BDF File in a Web Worker (edf_worker.js), streaming it
+   * record by record. Sample arrays are transferred back, not copied.
+   * Falls back to the main-thread parser when a worker cannot be started.
+   *
+   * @param {File} file
+   * @param {Object} [opts]
+   *   - onProgress(loadedBytes, totalBytes)
+   *   - repair: apply the safe header repairs (see LucidifyRepairEdfHeader)
+   *   - chunkBytes: bytes read per File.slice (default 4 MB)
+   * @returns {{ promise: Promise<{recording, applied}>, cancel: Function }}
+   *   `promise` rejects with err.cancelled = true after cancel(), and with
+   *   err.headerIssues when the header is unusable.
+   */
+  function parseEdfFileInWorker(file, opts = {}) {
+    return runWorkerJob(
+      { type: "parse", file, repair: !!opts.repair, chunkBytes: opts.chunkBytes },
+      opts,
+      () => parseOnMainThread(file, opts),
+      (msg) => ({ recording: msg.recording, applied: msg.applied || [] }));
+  }
+
+  /**
+   * Build the min/max overview of a paged EDF (LucidifyBuildEdfOverview)
+   * in the worker, with the same fallback and cancel semantics.
+   * @param {File} file
+   * @param {Object} [opts] - onProgress, binSec
+   * @returns {{ promise: Promise<{pyramids, annotations}>, cancel: Function }}
+   */
+  function buildEdfOverviewInWorker(file, opts = {}) {
+    return runWorkerJob(
+      { type: "overview", file, binSec: opts.binSec },
+      opts,
+      () => window.LucidifyBuildEdfOverview(file, opts),
+      (msg) => ({ pyramids: msg.pyramids, annotations: msg.annotations }));
+  }
+
+  window.LucidifyParseEdfFileInWorker = parseEdfFileInWorker;
+  window.LucidifyBuildEdfOverviewInWorker = buildEdfOverviewInWorker;
+})();
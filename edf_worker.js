@@ -0,0 +1,118 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+// Web Worker: decodes an EDF/BDF File record by record from File.slice
+// chunks, so the whole file is never held in memory as one ArrayBuffer and
+// the UI thread stays free. Started by edf_stream_loader.js.
+//
+//   in:  { type: "parse", file, repair?, chunkBytes? }
+//        { type: "overview", file, binSec? }         (paged files, see edf_paged_source.js)
+//   out: { type: "progress", loaded, total }          (bytes)
+//        { type: "done", recording, applied }         (parse; sample and min/max
+//                                                       pyramid buffers transferred)
+//        { type: "done", pyramids, annotations }      (overview; min/max buffers transferred)
+//        { type: "error", message, headerIssues }
+//
+// Cancelling is done by terminating the worker.
+importScripts("edf_parser.js", "minmax_pyramid.js", "edf_paged_source.js");
+
+(function () {
+  "use strict";
+
+  const DEFAULT_CHUNK_BYTES = 4 * 1024 * 1024;
+
+  async function readHeader(file, repair) {
+    // The signal count (bytes 252-255) gives the full header size
+    const fixed = new Uint8Array(await file.slice(0, 256).arrayBuffer());
+    const nSignals = Number(new TextDecoder("ascii").decode(fixed.subarray(252, 256)).trim());
+    const headerLen = Number.isInteger(nSignals) && nSignals > 0 ? 256 * (nSignals + 1) : 256;
+
+    let buffer = await file.slice(0, headerLen).arrayBuffer();
+    let applied = [];
+    if (repair) {
+      ({ buffer, applied } = self.LucidifyRepairEdfHeader(buffer, { fileSize: file.size }));
+    }
+    return { buffer, applied };
+  }
+
+  async function parseFile(file, opts) {
+    const chunkBytes = opts.chunkBytes || DEFAULT_CHUNK_BYTES;
+    const { buffer, applied } = await readHeader(file, opts.repair);
+    const layout = self.LucidifyReadEdfLayout(buffer, { fileSize: file.size });
+    const { headerBytes, bytesPerRecord, records } = layout;
+
+    // EDF+D: size the NaN timeline from the last record's onset
+    let capacitySec = 0;
+    if (layout.discontinuous && records > 0) {
+      const lastStart = headerBytes + (records - 1) * bytesPerRecord;
+      const last = new Uint8Array(
+        await file.slice(lastStart, lastStart + bytesPerRecord).arrayBuffer());
+      const lastOnset = self.LucidifyReadEdfRecordOnset(layout, last, 0);
+      if (lastOnset != null) capacitySec = lastOnset + layout.durationSecPerRecord;
+    }
+
+    const decoder = self.LucidifyCreateEdfRecordDecoder(layout, { capacitySec });
+    const recordsPerChunk = Math.max(1, Math.floor(chunkBytes / bytesPerRecord));
+    const total = headerBytes + records * bytesPerRecord;
+
+    for (let r0 = 0; r0 < records; r0 += recordsPerChunk) {
+      const n = Math.min(recordsPerChunk, records - r0);
+      const start = headerBytes + r0 * bytesPerRecord;
+      const bytes = new Uint8Array(
+        await file.slice(start, start + n * bytesPerRecord).arrayBuffer());
+      for (let i = 0; i < n; i++) {
+        decoder.decodeRecord(bytes, i * bytesPerRecord, r0 + i);
+      }
+      onProgress(start + bytes.length, total);
+    }
+
+    const recording = decoder.finish();
+    self.LucidifyEnsureMinMaxPyramids(recording);
+    return { recording, applied };
+  }
+
+  const onProgress = (loaded, total) =>
+    self.postMessage({ type: "progress", loaded, total });
+
+  self.onmessage = async (ev) => {
+    const msg = ev.data || {};
+    try {
+      if (msg.type === "parse") {
+        const { recording, applied } = await parseFile(msg.file, msg);
+        const transfer = [];
+        for (const ch of recording.channels) {
+          transfer.push(ch.samples.buffer);
+          for (const l of ch.minMaxLevels) transfer.push(l.min.buffer, l.max.buffer);
+        }
+        self.postMessage({ type: "done", recording, applied }, transfer);
+      } else if (msg.type === "overview") {
+        const { pyramids, annotations } =
+          await self.LucidifyBuildEdfOverview(msg.file, { binSec: msg.binSec, onProgress });
+        const transfer = [];
+        for (const levels of pyramids) {
+          for (const l of levels) transfer.push(l.min.buffer, l.max.buffer);
+        }
+        self.postMessage({ type: "done", pyramids, annotations }, transfer);
+      }
+    } catch (err) {
+      self.postMessage({
+        type: "error",
+        message: err && err.message ? err.message : String(err),
+        headerIssues: err && err.headerIssues
+      });
+    }
+  };
+})();
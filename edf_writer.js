@@ -40,7 +40,12 @@
     } else if (Number.isInteger(value)) {
       s = value.toString();
     } else {
-      s = value.toFixed(3);
+      // Most decimals that still fit the field (e.g. "-3.2768", not "-3.277")
+      for (let d = length; d >= 0; d--) {
+        s = value.toFixed(d);
+        if (s.includes(".")) s = s.replace(/0+$/, "").replace(/\.$/, "");
+        if (s.length <= length) break;
+      }
     }
     if (s.length > length) s = s.slice(0, length);
     s = s.padEnd(length, " ");
@@ -51,18 +56,34 @@
     return n.toString().padStart(2, "0");
   }
 
+  // TAL time: seconds with at most microsecond digits, no exponent
+  function talSeconds(sec) {
+    return String(Number(Math.max(0, sec).toFixed(6)));
+  }
+
   // Core: build an EDF buffer for the given view --------------------------
 
   /**
-   * Build an EDF ArrayBuffer from a recording and a time window.
+   * Build an EDF (16-bit) or BDF (24-bit) ArrayBuffer from a recording and
+   * a time window.
    *
    * @param {Object} options
-   *   - recording: { durationSec, channels: [{ name, fs, samples }, ...] }
+   *   - recording: { durationSec, header?, channels: [{ name, fs, samples }, ...] }
    *   - channelIndices: array of indices into recording.channels
    *   - viewStartSec: start time (seconds)
    *   - viewDurationSec: duration (seconds)
-   *   - patientId (optional): string
-   *   - recordingId (optional): string
+   *   - patientId (optional): string, defaults to recording.header.patientId
+   *   - recordingId (optional): string, defaults to recording.header.recordingId
+   *   - format (optional): "edf" (default) or "bdf"
+   *
+   * Channel transducer, prefilter and physical dimension are carried over.
+   * The start date/time is the source start shifted by viewStartSec (or
+   * "now" if the source has none).
+   *
+   * The output is one continuous data record. Samples in EDF+D gaps
+   * (NaN) are written as the signal's digital minimum; when the window
+   * overlaps recording.gaps the file becomes EDF+C/BDF+C with an
+   * annotation signal holding one "Gap" annotation per gap.
    *
    * @returns {ArrayBuffer}
    */
@@ -72,9 +93,14 @@
       channelIndices,
       viewStartSec,
       viewDurationSec,
-      patientId = "X",
-      recordingId = "Trimmed EDF"
+      format = "edf"
     } = options;
+    const header = (recording && recording.header) || {};
+    const patientId = options.patientId || header.patientId || "X";
+    const recordingId = options.recordingId || header.recordingId || "Trimmed EDF";
+
+    const isBdf = String(format).toLowerCase() === "bdf";
+    const bytesPerSample = isBdf ? 3 : 2;
 
     if (!recording || !Array.isArray(recording.channels)) {
       throw new Error("Invalid recording");
@@ -91,6 +117,13 @@
     const nSignals = chans.length;
     if (!nSignals) throw new Error("No valid channels for EDF");
 
+    // Index of viewStartSec in ch.samples (paged recordings hold a window
+    // of samples starting at ch.samplesStartSec)
+    function windowStartSample(ch, fs) {
+      const offset = Math.round((ch.samplesStartSec || 0) * fs);
+      return Math.max(0, Math.floor(viewStartSec * fs) - offset);
+    }
+
     // Determine a duration that all channels can support given viewStartSec.
     let effectiveDurationSec = viewDurationSec;
     const perChannelInfo = [];
@@ -100,7 +133,7 @@
       const fs = ch.fs || 256;
       const samples = ch.samples || new Float32Array(0);
 
-      const startSample = Math.floor(viewStartSec * fs);
+      const startSample = windowStartSample(ch, fs);
       const maxDurForCh =
         startSample < samples.length
           ? (samples.length - startSample) / fs
@@ -117,8 +150,8 @@
 
     // For EDF, all channels share the same data-record duration;
     // each channel defines its own samples-per-record.
-    const DIG_MIN = -32768;
-    const DIG_MAX = 32767;
+    const DIG_MIN = isBdf ? -8388608 : -32768;
+    const DIG_MAX = isBdf ? 8388607 : 32767;
 
     let fsFirst = null;
     const samplesPerRecord = new Array(nSignals);
@@ -129,40 +162,65 @@
     const labels = new Array(nSignals);
     const digitArrays = new Array(nSignals);
 
+    // Reuse the source scaling when its digital range fits the output
+    // format, so unchanged samples keep their exact digital values.
+    function sourceScaling(ch) {
+      const { physMin, physMax, digMin, digMax } = ch;
+      if (![physMin, physMax, digMin, digMax].every(Number.isFinite)) return null;
+      if (physMin === physMax || digMin >= digMax) return null;
+      if (digMin < DIG_MIN || digMax > DIG_MAX) return null;
+      return { physMin, physMax, digMin, digMax };
+    }
+
     for (let s = 0; s < nSignals; s++) {
       const ch = chans[s];
       const fs = ch.fs || 256;
       if (fsFirst == null && fs > 0) fsFirst = fs;
 
       const samples = ch.samples || new Float32Array(0);
-      const startSample = Math.floor(viewStartSec * fs);
+      const startSample = windowStartSample(ch, fs);
       const maxLen = Math.max(0, samples.length - startSample);
       const idealLen = Math.floor(effectiveDurationSec * fs);
       const len = Math.max(1, Math.min(maxLen, idealLen));
 
       const seg = samples.subarray(startSample, startSample + len);
 
-      // Compute physMin/Max from the segment
-      let minV = Infinity;
-      let maxV = -Infinity;
-      for (let i = 0; i < seg.length; i++) {
-        const v = seg[i];
-        if (v < minV) minV = v;
-        if (v > maxV) maxV = v;
-      }
-      if (!Number.isFinite(minV) || !Number.isFinite(maxV) || minV === maxV) {
-        minV = -1;
-        maxV = 1;
+      const src = sourceScaling(ch);
+      let minV, maxV, dMin, dMax;
+      if (src) {
+        minV = src.physMin;
+        maxV = src.physMax;
+        dMin = src.digMin;
+        dMax = src.digMax;
+      } else {
+        // Compute physMin/Max from the segment
+        minV = Infinity;
+        maxV = -Infinity;
+        for (let i = 0; i < seg.length; i++) {
+          const v = seg[i];
+          if (v < minV) minV = v;
+          if (v > maxV) maxV = v;
+        }
+        if (!Number.isFinite(minV) || !Number.isFinite(maxV) || minV === maxV) {
+          minV = -1;
+          maxV = 1;
+        }
+        dMin = DIG_MIN;
+        dMax = DIG_MAX;
       }
 
       const denom = maxV - minV || 1;
-      const scale = (DIG_MAX - DIG_MIN) / denom;
+      const scale = (dMax - dMin) / denom;
 
-      const digits = new Int16Array(seg.length);
+      const digits = isBdf ? new Int32Array(seg.length) : new Int16Array(seg.length);
       for (let i = 0; i < seg.length; i++) {
-        let d = Math.round((seg[i] - minV) * scale + DIG_MIN);
-        if (d < DIG_MIN) d = DIG_MIN;
-        if (d > DIG_MAX) d = DIG_MAX;
+        if (Number.isNaN(seg[i])) {
+          digits[i] = dMin; // gap
+          continue;
+        }
+        let d = Math.round((seg[i] - minV) * scale + dMin);
+        if (d < dMin) d = dMin;
+        if (d > dMax) d = dMax;
         digits[i] = d;
       }
 
@@ -170,6 +228,8 @@
       samplesPerRecord[s] = digits.length;
       physMins[s] = minV;
       physMaxs[s] = maxV;
+      digMins[s] = dMin;
+      digMaxs[s] = dMax;
       digitArrays[s] = digits;
     }
 
@@ -179,13 +239,38 @@
       samplesPerRecord[0] / (chans[0].fs || fsFirst) || effectiveDurationSec;
     const recordDurationSec = durFromFirst;
 
+    // EDF start time has 1 s resolution; the view start is floored to it.
+    const fileStartSec = Math.floor(viewStartSec);
+    const fs0 = chans[0].fs || fsFirst;
+    const dataStartSec =
+      (windowStartSample(chans[0], fs0) + Math.round((chans[0].samplesStartSec || 0) * fs0)) / fs0;
+    const dataEndSec = dataStartSec + recordDurationSec;
+
+    // Gaps in the window -> EDF+ annotation signal after the data signals.
+    // The time-keeping TAL gives the record's offset from the start time.
+    const gaps = (recording.gaps || []).filter(
+      (g) => g.endSec > dataStartSec && g.startSec < dataEndSec
+    );
+    let tals = null;
+    let annotationSamples = 0;
+    if (gaps.length) {
+      tals = `+${talSeconds(dataStartSec - fileStartSec)}\x14\x14\x00`;
+      for (const g of gaps) {
+        const a = Math.max(g.startSec, dataStartSec);
+        const b = Math.min(g.endSec, dataEndSec);
+        tals += `+${talSeconds(a - fileStartSec)}\x15${talSeconds(b - a)}\x14Gap\x14\x00`;
+      }
+      annotationSamples = Math.ceil(tals.length / bytesPerSample);
+    }
+    const nOutSignals = nSignals + (tals ? 1 : 0);
+
     // EDF header sizes
-    const headerBytes = 256 + 256 * nSignals;
+    const headerBytes = 256 + 256 * nOutSignals;
     const totalSamplesAllSignals = samplesPerRecord.reduce(
       (acc, n) => acc + n,
-      0
+      annotationSamples
     );
-    const bytesPerDataRecord = totalSamplesAllSignals * 2; // int16
+    const bytesPerDataRecord = totalSamplesAllSignals * bytesPerSample; // int16 / int24
     const nDataRecords = 1;
     const totalBytes = headerBytes + bytesPerDataRecord * nDataRecords;
 
@@ -195,16 +280,23 @@
 
     // ----------------- Main fixed header (first 256 bytes) ----------------
 
-    const now = new Date();
-    const dd = pad2(now.getDate());
-    const mm = pad2(now.getMonth() + 1);
-    const yy = pad2(now.getFullYear() % 100);
-    const HH = pad2(now.getHours());
-    const MM = pad2(now.getMinutes());
-    const SS = pad2(now.getSeconds());
-
-    // version
-    writeAscii(bytes, 0, 8, "0");
+    const start = header.startDateTime instanceof Date
+      ? new Date(header.startDateTime.getTime() + fileStartSec * 1000)
+      : new Date();
+    const dd = pad2(start.getDate());
+    const mm = pad2(start.getMonth() + 1);
+    const yy = pad2(start.getFullYear() % 100);
+    const HH = pad2(start.getHours());
+    const MM = pad2(start.getMinutes());
+    const SS = pad2(start.getSeconds());
+
+    // version ("0" for EDF; 0xFF + "BIOSEMI" for BDF)
+    if (isBdf) {
+      bytes[0] = 0xff;
+      writeAscii(bytes, 1, 7, "BIOSEMI");
+    } else {
+      writeAscii(bytes, 0, 8, "0");
+    }
     // patient id
     writeAscii(bytes, 8, 80, patientId);
     // recording id
@@ -215,28 +307,31 @@
     writeAscii(bytes, 176, 8, `${HH}.${MM}.${SS}`);
     // number of bytes in header
     writeNumberField(bytes, 184, 8, headerBytes);
-    // reserved
-    writeAscii(bytes, 192, 44, "");
+    // reserved: plain EDF/BDF unless there are gap annotations (the
+    // source "EDF+C"/"EDF+D" marker is not carried over; the output is
+    // always continuous)
+    if (tals) writeAscii(bytes, 192, 44, isBdf ? "BDF+C" : "EDF+C");
+    else writeAscii(bytes, 192, 44, isBdf ? "24BIT" : "");
     // number of data records
     writeNumberField(bytes, 236, 8, nDataRecords);
     // duration of a data record in seconds
     writeNumberField(bytes, 244, 8, recordDurationSec);
     // number of signals
-    writeNumberField(bytes, 252, 4, nSignals);
+    writeNumberField(bytes, 252, 4, nOutSignals);
 
     // ----------------- Per-signal header blocks ---------------------------
 
     const base = 256;
     const labelsOffset = base;
-    const transducerOffset = labelsOffset + 16 * nSignals;
-    const physDimOffset = transducerOffset + 80 * nSignals;
-    const physMinOffset = physDimOffset + 8 * nSignals;
-    const physMaxOffset = physMinOffset + 8 * nSignals;
-    const digMinOffset = physMaxOffset + 8 * nSignals;
-    const digMaxOffset = digMinOffset + 8 * nSignals;
-    const prefilterOffset = digMaxOffset + 8 * nSignals;
-    const samplesPerRecordOffset = prefilterOffset + 80 * nSignals;
-    const reservedOffset = samplesPerRecordOffset + 8 * nSignals;
+    const transducerOffset = labelsOffset + 16 * nOutSignals;
+    const physDimOffset = transducerOffset + 80 * nOutSignals;
+    const physMinOffset = physDimOffset + 8 * nOutSignals;
+    const physMaxOffset = physMinOffset + 8 * nOutSignals;
+    const digMinOffset = physMaxOffset + 8 * nOutSignals;
+    const digMaxOffset = digMinOffset + 8 * nOutSignals;
+    const prefilterOffset = digMaxOffset + 8 * nOutSignals;
+    const samplesPerRecordOffset = prefilterOffset + 80 * nOutSignals;
+    const reservedOffset = samplesPerRecordOffset + 8 * nOutSignals;
 
     for (let s = 0; s < nSignals; s++) {
       const label = labels[s];
@@ -247,13 +342,13 @@
       const nSamp = samplesPerRecord[s];
 
       writeAscii(bytes, labelsOffset + 16 * s, 16, label);
-      writeAscii(bytes, transducerOffset + 80 * s, 80, "");
-      writeAscii(bytes, physDimOffset + 8 * s, 8, "uV");
+      writeAscii(bytes, transducerOffset + 80 * s, 80, chans[s].transducer || "");
+      writeAscii(bytes, physDimOffset + 8 * s, 8, chans[s].physDim || "uV");
       writeNumberField(bytes, physMinOffset + 8 * s, 8, physMin);
       writeNumberField(bytes, physMaxOffset + 8 * s, 8, physMax);
       writeNumberField(bytes, digMinOffset + 8 * s, 8, dMin);
       writeNumberField(bytes, digMaxOffset + 8 * s, 8, dMax);
-      writeAscii(bytes, prefilterOffset + 80 * s, 80, "");
+      writeAscii(bytes, prefilterOffset + 80 * s, 80, chans[s].prefilter || "");
       writeNumberField(
         bytes,
         samplesPerRecordOffset + 8 * s,
@@ -262,6 +357,19 @@
       );
       writeAscii(bytes, reservedOffset + 32 * s, 32, "");
     }
+    if (tals) {
+      const s = nSignals;
+      writeAscii(bytes, labelsOffset + 16 * s, 16, isBdf ? "BDF Annotations" : "EDF Annotations");
+      writeAscii(bytes, transducerOffset + 80 * s, 80, "");
+      writeAscii(bytes, physDimOffset + 8 * s, 8, "");
+      writeNumberField(bytes, physMinOffset + 8 * s, 8, -1);
+      writeNumberField(bytes, physMaxOffset + 8 * s, 8, 1);
+      writeNumberField(bytes, digMinOffset + 8 * s, 8, DIG_MIN);
+      writeNumberField(bytes, digMaxOffset + 8 * s, 8, DIG_MAX);
+      writeAscii(bytes, prefilterOffset + 80 * s, 80, "");
+      writeNumberField(bytes, samplesPerRecordOffset + 8 * s, 8, annotationSamples);
+      writeAscii(bytes, reservedOffset + 32 * s, 32, "");
+    }
 
     // ----------------- Data records (just 1 record) -----------------------
 
@@ -269,10 +377,23 @@
     for (let s = 0; s < nSignals; s++) {
       const digits = digitArrays[s];
       for (let i = 0; i < digits.length; i++) {
-        dv.setInt16(dataOffset, digits[i], true); // little-endian
-        dataOffset += 2;
+        const d = digits[i];
+        if (isBdf) {
+          // 24-bit little-endian two's complement
+          bytes[dataOffset] = d & 0xff;
+          bytes[dataOffset + 1] = (d >> 8) & 0xff;
+          bytes[dataOffset + 2] = (d >> 16) & 0xff;
+          dataOffset += 3;
+        } else {
+          dv.setInt16(dataOffset, d, true); // little-endian
+          dataOffset += 2;
+        }
       }
     }
+    if (tals) {
+      // TALs, NUL padded to the annotation signal's samples
+      for (let i = 0; i < tals.length; i++) bytes[dataOffset + i] = tals.charCodeAt(i);
+    }
 
     return buffer;
   }
@@ -290,7 +411,8 @@
     });
     const a = document.createElement("a");
     a.href = URL.createObjectURL(blob);
-    a.download = options.filename || "trimmed.edf";
+    const isBdf = String(options.format || "").toLowerCase() === "bdf";
+    a.download = options.filename || (isBdf ? "trimmed.bdf" : "trimmed.edf");
     document.body.appendChild(a);
     a.click();
     setTimeout(() => {
@@ -0,0 +1,204 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Hypnogram files for analysis elsewhere: a per-epoch CSV, a BIDS
+  // _events.tsv and a Sleep-EDF style EDF+ annotation file. The TSV and
+  // EDF+ read back with HYPNO_REF.parseBidsEventsTsvToHypnogram and
+  // HYPNO_REF.parseSleepEdfHypnogramFromArrayBuffer.
+
+  /**
+   * @typedef {Object} HypnogramExport
+   * @property {number} epochSec
+   * @property {Array<string|null>} stages - model stages (after HMM), per epoch from t = 0
+   * @property {Array<Array<number>>} [probs] - model probabilities per epoch, in `labels` order
+   * @property {string[]} [labels] - e.g. ["W", "N1", "N2", "N3", "REM"]
+   * @property {Array<string|null>} [scores] - manual scores, "ART" for artifact
+   * @property {Date} [startDateTime] - recording start
+   */
+
+  const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN",
+                  "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+  // Sleep-EDF annotation text per stage; anything else is "?"
+  const EDF_STAGE_TEXT = { W: "Sleep stage W", N1: "Sleep stage 1", N2: "Sleep stage 2",
+                           N3: "Sleep stage 3", REM: "Sleep stage R" };
+
+  function pad2(n) {
+    return n.toString().padStart(2, "0");
+  }
+
+  function epochCount(hypno) {
+    return Math.max(hypno.stages?.length || 0, hypno.scores?.length || 0);
+  }
+
+  function clockTime(start, sec) {
+    const t = new Date(start.getTime() + sec * 1000);
+    return `${pad2(t.getHours())}:${pad2(t.getMinutes())}:${pad2(t.getSeconds())}`;
+  }
+
+  function formatProb(p) {
+    return Number.isFinite(p) ? p.toFixed(4) : "";
+  }
+
+  /**
+   * One row per epoch: epoch (1-based), onset and duration in s, clock
+   * time (with a start time), model stage, manual score and one
+   * probability column per label. Missing values are empty.
+   * @param {HypnogramExport} hypno
+   * @returns {string}
+   */
+  function hypnogramToCsv(hypno) {
+    const labels = hypno.labels || [];
+    const start = hypno.startDateTime instanceof Date ? hypno.startDateTime : null;
+    const header = ["epoch", "onset_sec", "duration_sec"];
+    if (start) header.push("clock_time");
+    header.push("stage", "scored", ...labels.map((l) => `p_${l}`));
+
+    const lines = [header.join(",")];
+    for (let e = 0; e < epochCount(hypno); e++) {
+      const onset = e * hypno.epochSec;
+      const row = [e + 1, onset, hypno.epochSec];
+      if (start) row.push(clockTime(start, onset));
+      row.push(hypno.stages?.[e] ?? "", hypno.scores?.[e] ?? "");
+      const p = hypno.probs?.[e];
+      for (let k = 0; k < labels.length; k++) row.push(formatProb(p?.[k]));
+      lines.push(row.join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * BIDS events: onset, duration, stage_hum (manual scores, only when
+   * there are any), stage_ai (model) and prob_<label>; "n/a" when missing.
+   * @param {HypnogramExport} hypno
+   * @returns {string}
+   */
+  function hypnogramToEventsTsv(hypno) {
+    const labels = hypno.labels || [];
+    const withScores = !!hypno.scores?.some((s) => s != null);
+    const header = ["onset", "duration"];
+    if (withScores) header.push("stage_hum");
+    header.push("stage_ai", ...labels.map((l) => `prob_${l}`));
+
+    const na = (v) => (v == null || v === "" ? "n/a" : v);
+    const lines = [header.join("\t")];
+    for (let e = 0; e < epochCount(hypno); e++) {
+      const row = [e * hypno.epochSec, hypno.epochSec];
+      if (withScores) row.push(na(hypno.scores[e]));
+      row.push(na(hypno.stages?.[e]));
+      const p = hypno.probs?.[e];
+      for (let k = 0; k < labels.length; k++) row.push(na(formatProb(p?.[k])));
+      lines.push(row.join("\t"));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  function writeAscii(bytes, offset, length, text) {
+    const s = String(text ?? "");
+    for (let i = 0; i < length; i++) {
+      bytes[offset + i] = i < s.length ? s.charCodeAt(i) & 0x7f : 0x20;
+    }
+  }
+
+  /**
+   * Sleep-EDF style EDF+ hypnogram: one "EDF Annotations" signal in a
+   * single record of duration 0, one TAL per run of equal stages
+   * ("+onset\x15duration\x14Sleep stage X\x14"). Each epoch has its
+   * manual score, else the model's stage (or only manual scores with
+   * `opts.manualOnly`); artifact and unstaged epochs are "Sleep stage ?".
+   * Where the stages came from is appended to the recording id
+   * ("stages=manual", "stages=model" or "stages=manual+model").
+   * Probabilities are not carried.
+   * @param {HypnogramExport} hypno
+   * @param {Object} [opts]
+   * @param {string} [opts.patientId] - EDF+ "code sex birthdate name"
+   * @param {string} [opts.recordingId] - after "Startdate dd-MMM-yyyy"
+   * @param {boolean} [opts.manualOnly] - leave unscored epochs "?"
+   * @returns {ArrayBuffer}
+   */
+  function hypnogramToEdf(hypno, opts = {}) {
+    const epochSec = hypno.epochSec;
+    let fromManual = 0;
+    let fromModel = 0;
+    const stages = Array.from({ length: epochCount(hypno) }, (_, e) => {
+      const score = hypno.scores?.[e] ?? null;
+      const model = opts.manualOnly ? null : hypno.stages?.[e] ?? null;
+      if (score != null) fromManual++;
+      else if (model != null) fromModel++;
+      return score ?? model;
+    });
+    const source = fromManual && fromModel ? "manual+model" : fromModel ? "model" : "manual";
+    const stageText = (s) => EDF_STAGE_TEXT[s] || "Sleep stage ?";
+
+    // time-keeping TAL first, then the stage runs
+    let tals = "+0\x14\x14\x00";
+    for (let a = 0; a < stages.length;) {
+      let b = a + 1;
+      while (b < stages.length && stageText(stages[b]) === stageText(stages[a])) b++;
+      tals += `+${a * epochSec}\x15${(b - a) * epochSec}\x14${stageText(stages[a])}\x14\x00`;
+      a = b;
+    }
+    const nSamples = Math.ceil(tals.length / 2);
+    const headerBytes = 512;
+    const buffer = new ArrayBuffer(headerBytes + nSamples * 2);
+    const bytes = new Uint8Array(buffer);
+
+    const start = hypno.startDateTime instanceof Date ? hypno.startDateTime : null;
+    const dateField = start
+      ? `${pad2(start.getDate())}.${pad2(start.getMonth() + 1)}.${pad2(start.getFullYear() % 100)}`
+      : "01.01.85"; // EDF+ placeholder for an unknown date
+    const timeField = start
+      ? `${pad2(start.getHours())}.${pad2(start.getMinutes())}.${pad2(start.getSeconds())}`
+      : "00.00.00";
+    const startdate = start
+      ? `${pad2(start.getDate())}-${MONTHS[start.getMonth()]}-${start.getFullYear()}`
+      : "X";
+
+    writeAscii(bytes, 0, 8, "0");
+    writeAscii(bytes, 8, 80, opts.patientId || "X X X X");
+    writeAscii(bytes, 88, 80, `Startdate ${startdate} ${opts.recordingId || "X X X"} stages=${source}`);
+    writeAscii(bytes, 168, 8, dateField);
+    writeAscii(bytes, 176, 8, timeField);
+    writeAscii(bytes, 184, 8, String(headerBytes));
+    writeAscii(bytes, 192, 44, "EDF+C");
+    writeAscii(bytes, 236, 8, "1");
+    writeAscii(bytes, 244, 8, "0");
+    writeAscii(bytes, 252, 4, "1");
+
+    // the one signal header
+    writeAscii(bytes, 256, 16, "EDF Annotations");
+    writeAscii(bytes, 272, 80, "");
+    writeAscii(bytes, 352, 8, "");
+    writeAscii(bytes, 360, 8, "-1");
+    writeAscii(bytes, 368, 8, "1");
+    writeAscii(bytes, 376, 8, "-32768");
+    writeAscii(bytes, 384, 8, "32767");
+    writeAscii(bytes, 392, 80, "");
+    writeAscii(bytes, 472, 8, String(nSamples));
+    writeAscii(bytes, 480, 32, "");
+
+    // data record: the TALs, NUL padded
+    for (let i = 0; i < tals.length; i++) bytes[headerBytes + i] = tals.charCodeAt(i);
+    return buffer;
+  }
+
+  window.LucidifyHypnogramToCsv = hypnogramToCsv;
+  window.LucidifyHypnogramToEventsTsv = hypnogramToEventsTsv;
+  window.LucidifyHypnogramToEdf = hypnogramToEdf;
+})();
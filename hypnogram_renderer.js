@@ -91,6 +91,10 @@ function renderHypnogramStep(canvas, stages, options = {}) {
   const padding = options.padding ?? 10;
   const leftMargin = options.leftMargin ?? 80;
   const lineWidth = options.lineWidth ?? 2;
+  // Optional time axis: epoch 0 starts at startSec (s from file start)
+  const startSec = options.startSec ?? null;
+  const epochSec = options.epochSec ?? 30;
+  const axisHeight = options.axisHeight ?? 0;
 
   // Stage order (top to bottom)
   const order = ["W", "REM", "N1", "N2", "N3"];
@@ -109,7 +113,7 @@ function renderHypnogramStep(canvas, stages, options = {}) {
   ctx.fillStyle = "#bbb";
 
   const plotTop = padding;
-  const plotBottom = H - padding;
+  const plotBottom = H - padding - axisHeight;
   const plotLeft = leftMargin;
   const plotRight = W - padding;
 
@@ -134,6 +138,11 @@ function renderHypnogramStep(canvas, stages, options = {}) {
   const n = stages.length;
   const dx = (plotRight - plotLeft) / Math.max(1, n - 1);
 
+  if (startSec != null && n > 1 && window.LucidifyDrawTimeAxis) {
+    window.LucidifyDrawTimeAxis(ctx, plotLeft, plotRight - plotLeft, H,
+                                startSec, (n - 1) * epochSec);
+  }
+
   // Build step path
   ctx.strokeStyle = "#fff";
   ctx.lineWidth = lineWidth;
@@ -144,17 +153,21 @@ function renderHypnogramStep(canvas, stages, options = {}) {
     return plotTop + level * dy;
   }
 
+  // null epochs (e.g. EDF+D gaps) break the line
   let x = plotLeft;
-  let y = yForStage(stages[0]);
-  ctx.moveTo(x, y);
+  let y = stages[0] == null ? null : yForStage(stages[0]);
+  if (y != null) ctx.moveTo(x, y);
 
   for (let i = 1; i < n; i++) {
     const x2 = plotLeft + i * dx;
-    const y2 = yForStage(stages[i]);
+    const y2 = stages[i] == null ? null : yForStage(stages[i]);
 
     // step: horizontal to x2 at current y, then vertical to y2
-    ctx.lineTo(x2, y);
-    ctx.lineTo(x2, y2);
+    if (y != null) ctx.lineTo(x2, y);
+    if (y2 != null) {
+      if (y != null) ctx.lineTo(x2, y2);
+      else ctx.moveTo(x2, y2);
+    }
 
     x = x2;
     y = y2;
@@ -168,6 +181,7 @@ function renderHypnogramStepOverlay(canvas, stages, options = {}) {
   const padding = options.padding ?? 10;
   const leftMargin = options.leftMargin ?? 80;
   const lineWidth = options.lineWidth ?? 2;
+  const axisHeight = options.axisHeight ?? 0;
 
   // Style controls for overlay
   const strokeStyle = options.strokeStyle ?? "rgba(255,255,255,0.70)";
@@ -184,7 +198,7 @@ function renderHypnogramStepOverlay(canvas, stages, options = {}) {
 
   // Plot bounds must match renderHypnogramStep
   const plotTop = padding;
-  const plotBottom = H - padding;
+  const plotBottom = H - padding - axisHeight;
   const plotLeft = leftMargin;
   const plotRight = W - padding;
 
@@ -247,8 +261,157 @@ function renderHypnogramStepOverlay(canvas, stages, options = {}) {
   ctx.stroke();
   ctx.restore();
 }
+// One row of coloured epochs (e.g. manual scores) in a band of the canvas,
+// on the x mapping of renderHypnogramStep; null epochs stay empty.
+function renderHypnogramRow(canvas, stages, options = {}) {
+  const ctx = canvas.getContext("2d");
+
+  const padding = options.padding ?? 10;
+  const leftMargin = options.leftMargin ?? 80;
+  const top = options.top ?? 0;
+  const height = options.height ?? 12;
+  const label = options.label ?? "";
+  const colors = options.colors ?? {
+    W:   "#f2c14e",
+    N1:  "#a7c7e7",
+    N2:  "#5fa8d3",
+    N3:  "#1b4965",
+    REM: "#f25c54",
+    ART: "#9b59b6",
+    UNK: "#999999",
+  };
+
+  const plotLeft = leftMargin;
+  const plotRight = canvas.width - padding;
+
+  ctx.save();
+  if (label) {
+    ctx.font = "12px sans-serif";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#bbb";
+    ctx.fillText(label, 10, top + height / 2);
+  }
+  ctx.fillStyle = "rgba(255,255,255,0.05)";
+  ctx.fillRect(plotLeft, top, plotRight - plotLeft, height);
+
+  const n = stages?.length || 0;
+  const dx = (plotRight - plotLeft) / Math.max(1, n - 1);
+  for (let i = 0; i < n; i++) {
+    const stage = stages[i];
+    if (stage == null) continue;
+    const x = plotLeft + i * dx;
+    ctx.fillStyle = colors[stage] || colors.UNK;
+    ctx.fillRect(x, top, Math.max(1, Math.min(dx, plotRight - x)), height);
+  }
+  ctx.restore();
+}
+
+// Hypnodensity: the per-epoch stage probabilities stacked in a band of the
+// canvas (W at the top, then REM, N1, N2, N3 as on the step plot), on the
+// x mapping of renderHypnogramStep, with the model's confidence as a line
+// over it: `confidence[i]` where given (e.g. the probability of the stage
+// shown after HMM smoothing), else the largest probability. Epochs without
+// probabilities stay empty and break the line; `threshold` draws a dashed
+// guide.
+function renderHypnodensity(canvas, probs, options = {}) {
+  const ctx = canvas.getContext("2d");
+
+  const padding = options.padding ?? 10;
+  const leftMargin = options.leftMargin ?? 80;
+  const top = options.top ?? 0;
+  const height = options.height ?? 40;
+  const label = options.label ?? "";
+  const labels = options.labels ?? ["W", "N1", "N2", "N3", "REM"];
+  const threshold = options.threshold ?? null;
+  const confidence = options.confidence ?? null;
+  const colors = options.colors ?? {
+    W:   "#f2c14e",
+    N1:  "#a7c7e7",
+    N2:  "#5fa8d3",
+    N3:  "#1b4965",
+    REM: "#f25c54",
+  };
+
+  const order = ["W", "REM", "N1", "N2", "N3"].filter((s) => labels.includes(s));
+  const cols = order.map((s) => labels.indexOf(s));
+  const plotLeft = leftMargin;
+  const plotRight = canvas.width - padding;
+
+  ctx.save();
+  if (label) {
+    ctx.font = "12px sans-serif";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#bbb";
+    ctx.fillText(label, 10, top + height / 2);
+  }
+  ctx.fillStyle = "rgba(255,255,255,0.05)";
+  ctx.fillRect(plotLeft, top, plotRight - plotLeft, height);
+
+  const n = probs?.length || 0;
+  const dx = (plotRight - plotLeft) / Math.max(1, n - 1);
+  const valid = (p) => Array.isArray(p) || ArrayBuffer.isView(p);
+
+  // stacked columns, normalised so rounding never overflows the band
+  for (let i = 0; i < n; i++) {
+    const p = probs[i];
+    if (!valid(p)) continue;
+    let sum = 0;
+    for (const k of cols) sum += Number.isFinite(p[k]) ? p[k] : 0;
+    if (!(sum > 0)) continue;
+    const x = plotLeft + i * dx;
+    const w = Math.max(1, Math.min(dx, plotRight - x));
+    let y = top;
+    for (let j = 0; j < cols.length; j++) {
+      const v = Number.isFinite(p[cols[j]]) ? p[cols[j]] : 0;
+      const h = (v / sum) * height;
+      if (h <= 0) continue;
+      ctx.fillStyle = colors[order[j]] || "#999999";
+      ctx.fillRect(x, y, w, h);
+      y += h;
+    }
+  }
+
+  if (threshold != null) {
+    const yT = top + (1 - threshold) * height;
+    ctx.strokeStyle = "rgba(255,255,255,0.5)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(plotLeft, yT);
+    ctx.lineTo(plotRight, yT);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // confidence trace
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  let drawing = false;
+  for (let i = 0; i < n; i++) {
+    const p = probs[i];
+    let conf = -Infinity;
+    if (confidence) conf = confidence[i] ?? -Infinity;
+    else if (valid(p)) for (const k of cols) if (p[k] > conf) conf = p[k];
+    if (!Number.isFinite(conf)) {
+      drawing = false;
+      continue;
+    }
+    const x = plotLeft + i * dx;
+    const y = top + (1 - Math.min(1, conf)) * height;
+    if (drawing) ctx.lineTo(x, y);
+    else ctx.moveTo(x, y);
+    drawing = true;
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+window.renderHypnodensity = renderHypnodensity;
 
 window.renderHypnogramStepOverlay = renderHypnogramStepOverlay;
 
+window.renderHypnogramRow = renderHypnogramRow;
+
 window.renderHypnogramStep = renderHypnogramStep;
 
@@ -30,20 +30,58 @@
     return Number.isNaN(n) ? 0 : n;
   }
 
-  // Parse only the EDF header: enough to know duration, channel layout, and scaling.
-  function parseEdfHeaderForSegment(buffer) {
+  // Read a Blob range as an ArrayBuffer.
+  function readSliceAsArrayBuffer(file, start, end) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(file.slice(start, end));
+    });
+  }
+
+  // Onset (s) of the time-keeping TAL that starts an EDF+ annotation block:
+  // "+onset\x14\x14..." (an optional \x15duration is ignored).
+  function edfReadRecordOnset(bytes) {
+    let end = 0;
+    while (end < bytes.length && bytes[end] !== 0x14 && bytes[end] !== 0x15) end++;
+    const txt = new TextDecoder("ascii").decode(bytes.subarray(0, end));
+    const n = Number(txt);
+    return txt && Number.isFinite(n) ? n : null;
+  }
+
+  // Parse only the EDF/BDF header: enough to know duration, channel layout, and scaling.
+  // fileSize lets the header validator check/recompute the record count.
+  function parseEdfHeaderForSegment(buffer, fileSize) {
     const bytes = new Uint8Array(buffer);
 
+    // BDF: 0xFF + "BIOSEMI" magic, 3-byte samples; otherwise 2-byte EDF
+    const isBdf = bytes[0] === 0xff && edfReadAscii(bytes, 1, 7) === "BIOSEMI";
+    const bytesPerSample = isBdf ? 3 : 2;
+
     const headerBytes          = edfReadNumber(bytes, 184, 8);
-    const nDataRecords         = edfReadNumber(bytes, 236, 8);
+    let nDataRecords           = edfReadNumber(bytes, 236, 8);
     const durationSecPerRecord = edfReadNumber(bytes, 244, 8);
     const nSignals             = edfReadNumber(bytes, 252, 4);
+    const reserved             = edfReadAscii(bytes, 192, 44);
+
+    // Header issues are reported to the viewer; an unclosed (-1) or
+    // truncated record count is recomputed from the file size, since the
+    // segment reader cannot work without it.
+    let headerIssues = [];
+    if (window.LucidifyValidateEdfHeader) {
+      const { issues, repaired } = window.LucidifyValidateEdfHeader(buffer, { fileSize });
+      headerIssues = issues;
+      if (repaired.nDataRecords != null) nDataRecords = repaired.nDataRecords;
+    }
 
     if (!Number.isFinite(headerBytes) || headerBytes < 256 ||
         !Number.isFinite(nDataRecords) || nDataRecords <= 0 ||
         !Number.isFinite(durationSecPerRecord) || durationSecPerRecord <= 0 ||
         !Number.isFinite(nSignals) || nSignals <= 0) {
-      throw new Error("Invalid EDF header");
+      const err = new Error("Invalid EDF header");
+      err.headerIssues = headerIssues;
+      throw err;
     }
 
     const base = 256;
@@ -82,7 +120,24 @@
     const totalSamplesPerRecord = samplesPerRecord.reduce((a, b) => a + b, 0);
     const durationSec = nDataRecords * durationSecPerRecord;
 
+    // First EDF+/BDF+ annotation signal: its block in each record starts
+    // with the record's time-keeping TAL (needed to place EDF+D records).
+    let annotationSignal = -1;
+    let annotationByteOffset = 0;
+    for (let s = 0; s < nSignals; s++) {
+      if (labels[s] === "EDF Annotations" || labels[s] === "BDF Annotations") {
+        annotationSignal = s;
+        break;
+      }
+      annotationByteOffset += samplesPerRecord[s] * bytesPerSample;
+    }
+    const discontinuous =
+      (reserved.startsWith("EDF+D") || reserved.startsWith("BDF+D")) &&
+      annotationSignal >= 0;
+
     return {
+      format: isBdf ? "BDF" : "EDF",
+      bytesPerSample,
       headerBytes,
       nDataRecords,
       durationSecPerRecord,
@@ -95,7 +150,11 @@
       samplesPerRecord,
       samplingRatesHz,
       totalSamplesPerRecord,
-      durationSec
+      durationSec,
+      headerIssues,
+      discontinuous,
+      annotationSignal,
+      annotationByteOffset
     };
   }
 
@@ -117,6 +176,7 @@
       this._currentFile = null;
       this._headerInfo = null;
 	  this._headerBytesRaw = null;
+      this._recordOnsetCache = null;
 
       this._overlay = null;
       this._channelContainer = null;
@@ -148,11 +208,28 @@
       reader.onload = (e) => {
         try {
       	  const buf = e.target.result;
-      	  const info = parseEdfHeaderForSegment(buf);
+      	  const info = parseEdfHeaderForSegment(buf, file.size);
       	  this._headerInfo = info;
       	  // Store exact header bytes for later mini-EDF construction
       	  this._headerBytesRaw = buf.slice(0, info.headerBytes);
-      	  this._showOverlay();
+      	  this._recordOnsetCache = new Map();
+      	  if (!info.discontinuous) {
+      	    this._showOverlay();
+      	    return;
+      	  }
+      	  // EDF+D: the wall-clock span ends with the last record, not at
+      	  // nDataRecords * record duration.
+      	  this._readRecordOnset(info.nDataRecords - 1)
+      	    .then((lastOnset) => {
+      	      if (lastOnset != null) {
+      	        info.durationSec = lastOnset + info.durationSecPerRecord;
+      	      }
+      	      this._showOverlay();
+      	    })
+      	    .catch((err) => {
+      	      console.warn("Could not read last EDF+D record onset:", err);
+      	      this._showOverlay();
+      	    });
         } catch (err) {
           console.error("Failed to parse EDF header for large file flow:", err);
           this._currentFile = null;
@@ -192,7 +269,7 @@
       panel.style.boxShadow = "0 4px 16px rgba(0,0,0,0.5)";
 
       const title = document.createElement("h3");
-      title.textContent = "Load EDF segment";
+      title.textContent = "Load EDF/BDF segment";
       title.style.marginTop = "0";
       title.style.marginBottom = "0.5rem";
 
@@ -338,8 +415,11 @@
 
       // Build channel checkbox list
       this._channelContainer.innerHTML = "";
+      const isAnnotation = window.LucidifyIsEdfAnnotationSignal || (() => false);
+      let shown = 0;
       for (let i = 0; i < info.nSignals; i++) {
         const lbl = info.labels[i] || `Ch ${i + 1}`;
+        if (isAnnotation(lbl)) continue; // EDF+ annotations are not a waveform
         const row = document.createElement("label");
         row.style.display = "flex";
         row.style.alignItems = "center";
@@ -349,7 +429,7 @@
         const cb = document.createElement("input");
         cb.type = "checkbox";
         cb.value = String(i);
-        cb.checked = i < 2; // default: first two channels
+        cb.checked = shown++ < 2; // default: first two channels
 
         const span = document.createElement("span");
         span.textContent = lbl;
@@ -398,6 +478,71 @@
 
     // ---------- Segment loading & decoding ----------
 
+    // EDF+D: onset (file time, s) of record r, read from its time-keeping TAL.
+    _readRecordOnset(r) {
+      const info = this._headerInfo;
+      const cache = this._recordOnsetCache;
+      if (cache && cache.has(r)) return Promise.resolve(cache.get(r));
+
+      const bytesPerRecord = info.totalSamplesPerRecord * info.bytesPerSample;
+      const start = info.headerBytes + r * bytesPerRecord + info.annotationByteOffset;
+      const len = info.samplesPerRecord[info.annotationSignal] * info.bytesPerSample;
+      return readSliceAsArrayBuffer(this._currentFile, start, start + len)
+        .then((buf) => {
+          const onset = edfReadRecordOnset(new Uint8Array(buf));
+          if (cache) cache.set(r, onset);
+          return onset;
+        });
+    }
+
+    // First record whose onset is >= tSec (nDataRecords if none). Record
+    // onsets increase monotonically, so a binary search needs only
+    // log2(nDataRecords) small reads.
+    async _findRecordAtOrAfter(tSec) {
+      const info = this._headerInfo;
+      let lo = 0;
+      let hi = info.nDataRecords;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        let onset = await this._readRecordOnset(mid);
+        if (onset == null) onset = mid * info.durationSecPerRecord;
+        if (onset < tSec) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    }
+
+    // Records covering [startSec, endSec) and the file time of the first one.
+    async _findRecordRange(startSec, endSec) {
+      const { nDataRecords, durationSecPerRecord, discontinuous } = this._headerInfo;
+
+      if (!discontinuous) {
+        const startRec = Math.floor(startSec / durationSecPerRecord);
+        const endRec = Math.max(startRec + 1, Math.ceil(endSec / durationSecPerRecord));
+        return {
+          startRec,
+          recCount: Math.min(nDataRecords - startRec, endRec - startRec),
+          originSec: startRec * durationSecPerRecord
+        };
+      }
+
+      // Include the record that contains startSec (it starts before it)
+      let startRec = await this._findRecordAtOrAfter(startSec + 1e-9);
+      startRec = Math.max(0, startRec - 1);
+      const startOnset = await this._readRecordOnset(startRec);
+      if (startOnset != null && startOnset + durationSecPerRecord <= startSec) {
+        startRec = Math.min(nDataRecords - 1, startRec + 1); // startSec is in a gap
+      }
+      const endRec = Math.max(startRec + 1, await this._findRecordAtOrAfter(endSec));
+      const originSec = await this._readRecordOnset(startRec);
+
+      return {
+        startRec,
+        recCount: Math.min(nDataRecords - startRec, endRec - startRec),
+        originSec: originSec != null ? originSec : startRec * durationSecPerRecord
+      };
+    }
+
       _loadSegment(startSec, windowSec, selectedIndices, targetFs) {
       const file = this._currentFile;
       const info = this._headerInfo;
@@ -405,23 +550,27 @@
 
       const {
         headerBytes,
-        nDataRecords,
-        durationSecPerRecord,
-        samplesPerRecord,
+        bytesPerSample,
         totalSamplesPerRecord,
         durationSec
       } = info;
 
-      const bytesPerRecord = totalSamplesPerRecord * 2;
+      const bytesPerRecord = totalSamplesPerRecord * bytesPerSample;
 
       const clampedStart = Math.min(Math.max(0, startSec), durationSec);
       const endReq = clampedStart + windowSec;
       const clampedEnd = Math.min(endReq, durationSec);
 
-      const startRec = Math.floor(clampedStart / durationSecPerRecord);
-      const endRec = Math.max(startRec + 1, Math.ceil(clampedEnd / durationSecPerRecord));
-      const recCount = Math.min(nDataRecords - startRec, endRec - startRec);
+      const onFailed = (err) => {
+        console.error("Failed to decode EDF segment:", err);
+        this._submitBtn.disabled = false;
+        this._cancelBtn.disabled = false;
+        this._submitBtn.textContent = "Load segment";
+        alert("Failed to load EDF segment.");
+        this.onCancelled({ reason: "segment-decode-failed", error: err });
+      };
 
+      this._findRecordRange(clampedStart, clampedEnd).then(({ startRec, recCount, originSec }) => {
       const byteStart = headerBytes + startRec * bytesPerRecord;
       const byteEnd = byteStart + recCount * bytesPerRecord;
 
@@ -439,19 +588,23 @@
    		  if (!parseEdfFn) {
    		    throw new Error("parseEdf not available on window.LucidifyParseEdf");
    		  }
-   		  let recording = parseEdfFn(miniBuf);
+   		  let recording = parseEdfFn(miniBuf, {
+            timeOriginSec: originSec
+          });
+          // Issues belong to the file, not to the patched mini-EDF
+          recording.headerIssues = info.headerIssues;
    
-          // If channels were selected, drop the others
+          // If channels were selected, drop the others (selection uses
+          // header signal indices; annotation signals are not channels)
           if (selectedIndices && selectedIndices.length) {
             const channels = [];
             for (const idx of selectedIndices) {
-              if (recording.channels[idx]) {
-                channels.push(recording.channels[idx]);
-              }
+              const ch = recording.channels.find((c) => c.signalIndex === idx);
+              if (ch) channels.push(ch);
             }
             if (channels.length) {
               recording = {
-                durationSec: recording.durationSec,
+                ...recording,
                 channels
               };
             }
@@ -464,20 +617,18 @@
           this._currentFile = null;
           this._headerInfo = null;
           this._headerBytesRaw = null;
+          this._recordOnsetCache = null;
 			if (targetFs && Number.isFinite(targetFs) && targetFs > 0) {
 			  recording = downsampleRecording(recording, targetFs);
 			}
           this.onSegmentReady(recording);
         } catch (err) {
-          console.error("Failed to decode EDF segment:", err);
-          this._submitBtn.disabled = false;
-          this._cancelBtn.disabled = false;
-          this._submitBtn.textContent = "Load segment";
-          alert("Failed to load EDF segment.");
-          this.onCancelled({ reason: "segment-decode-failed", error: err });
+          onFailed(err);
         }
       };
+      reader.onerror = () => onFailed(reader.error);
       reader.readAsArrayBuffer(slice);
+      }).catch(onFailed);
     }
     _buildMiniEdfBuffer(headerBuf, info, dataBuf, recCount) {
       const headerBytes = info.headerBytes;
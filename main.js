@@ -27,6 +27,8 @@ window.addEventListener("DOMContentLoaded", () => {
   
   const spectrogramCanvas = document.getElementById("spectrogram-canvas");
   const spectrogramCtx = spectrogramCanvas.getContext("2d");
+  const overviewCanvas = document.getElementById("overview-canvas");
+  const overviewCtx = overviewCanvas?.getContext("2d");
   
   const hypnogramCanvas = document.getElementById("hypnogram-canvas");
   
@@ -39,8 +41,33 @@ window.addEventListener("DOMContentLoaded", () => {
   const panThumb = document.getElementById("pan-thumb");
   const timeLabel = document.getElementById("time-label");
   const freqRangeLabel = document.getElementById("freq-range-label");
-  
-  const LARGE_FILE_THRESHOLD_BYTES = 50 * 1024 * 1024; // 50 MB, tweak as needed
+  const clockTimeCheckbox = document.getElementById("clock-time-checkbox");
+  const gotoTimeInput = document.getElementById("goto-time-input");
+  const gotoTimeButton = document.getElementById("goto-time-button");
+  const epochPagingCheckbox = document.getElementById("epoch-paging-checkbox");
+  const loadingProgress = document.getElementById("loading-progress");
+  const loadingCancelButton = document.getElementById("loading-cancel-button");
+  const headerIssuesBox = document.getElementById("header-issues");
+  const headerIssuesList = document.getElementById("header-issues-list");
+  const headerRepairButton = document.getElementById("header-repair-button");
+  const recordingInfo = document.getElementById("recording-info");
+  const recordingInfoBody = document.getElementById("recording-info-body");
+  const montageTypeSelect = document.getElementById("montage-type");
+  const montageChannelSelects = ["a", "b", "c"].map((k) =>
+    document.getElementById(`montage-channel-${k}`));
+  const montageLabelInput = document.getElementById("montage-label-input");
+  const montageWeights = document.getElementById("montage-weights");
+  const montageList = document.getElementById("montage-list");
+  const montageStatus = document.getElementById("montage-status");
+  const montageLoadInput = document.getElementById("montage-load-input");
+  const amplitudeModeSelect = document.getElementById("amplitude-mode");
+  const sensitivitySelect = document.getElementById("sensitivity-select");
+  
+  // Files below this stream through the EDF worker in full (decoded samples
+  // take ~2x the file size in memory); above it they are paged from disk as
+  // the view moves (EDF+D: segment dialog). With both off the UI thread the
+  // limit is memory only: at most ~512 MB of decoded samples.
+  const LARGE_FILE_THRESHOLD_BYTES = 256 * 1024 * 1024; // 256 MB, tweak as needed
   
   const saveViewButton = document.getElementById("save-view-button");
   const spectrogramRefreshBtn = document.getElementById("spectrogram-refresh-button");
@@ -49,21 +76,12 @@ window.addEventListener("DOMContentLoaded", () => {
   const spectrogramChannelControls = document.getElementById("spectrogram-channel-controls");
   const hypnogramChannelControls   = document.getElementById("hypnogram-channel-controls");
   
-  spectrogramRefreshBtn?.addEventListener("click", async () => {
+  function refreshSpectrogram() {
     if (!lastRecording) return;
-    setSectionLoading(spectrogramSection, true);
-    await nextPaint();
-    try {
-      drawSpectrogram(
-        spectrogramCtx,
-        spectrogramCanvas,
-        lastRecording,
-        spectrogramVisible
-      );
-    } finally {
-      setSectionLoading(spectrogramSection, false);
-    }
-  });
+    drawSpectrogram(spectrogramCtx, spectrogramCanvas, lastRecording, spectrogramVisible);
+  }
+
+  spectrogramRefreshBtn?.addEventListener("click", refreshSpectrogram);
   
   hypnogramRefreshBtn?.addEventListener("click", async () => {
     if (!lastRecording) return;
@@ -87,6 +105,12 @@ window.addEventListener("DOMContentLoaded", () => {
         onCancelled: (reason) => {
           setLoading(false);
           console.log("Large EDF segment load cancelled/failed:", reason);
+          const issues = reason?.error?.headerIssues;
+          if (issues?.length) {
+            renderHeaderIssues(issues);
+            fileInfo.textContent = "Large EDF: invalid header, see the issues below.";
+            return;
+          }
           fileInfo.textContent = "Large EDF load cancelled.";
         }
       })
@@ -105,29 +129,68 @@ window.addEventListener("DOMContentLoaded", () => {
   
   let spectrogramMaxHz = null;   // null = auto (Nyquist)
   let editingFreq = false;
+  // Window, taper, scale, min frequency and colours (renderers.js
+  // SpectrogramParams); colour limits of the last draw, kept when locked
+  const spectrogramParams = Object.assign({}, window.LucidifySpectrogramDefaults);
+  let spectrogramLimits = null;
   
   let lastRecording = null;
   let lastFileName = null; 
+  let lastFile = null; // whole-file loads only, for header repairs
+  let activeLoad = null; // { promise, cancel } of the running worker parse
   let waveformVisible = [];
   let spectrogramVisible = [];
   let hypnogramVisible = [];
   let referenceHypno = null;
   
+  // scoring epochs: the hypnogram and the waveform's epoch grid
+  const EPOCH_SEC = 30;
+  let epochPaging = false; // snap the view to whole epochs
+
   // shared view window (seconds)
   let viewStartSec = 0;
   let viewDurationSec = 10;
   let maxViewSpanSec = 60;
   
   let isPanning = false;
+
+  // wall-clock axis: seconds after midnight at t = 0 (from the EDF header)
+  let clockOriginSec = null;
+  let useClockTime = false;
+
+  // last staged hypnogram, kept so axis/overlay changes can redraw it
+  // without re-running the model
+  let lastHypnogram = null;
+  // whole-night staging of the current recording: "model|channels" ->
+  // Promise<{ stages, probs, smoothed }>, see renderHypnogramFromSelection
+  let stagingCache = new Map();
+  let hypnogramRequest = 0; // only the latest request draws
+  // manual scores of the current recording: stage per epoch ("W", "N1",
+  // "N2", "N3", "REM", "ART" or null), undo/redo of { epoch, before, after }
+  let userScores = { stages: [], undo: [], redo: [] };
+  let scoringMode = false;
+
+  // derived channels (montage.js); kept across files, matched by label
+  let montage = { name: "", derivations: [] };
+  let montageErrors = [];
+
+  // waveform display filters by channel name (display_filters.js)
+  const displayFilters = new Map();
+
+  // amplitude scaling read by the waveform renderer; `channels` maps a
+  // channel name to its { gain, uvPerDiv } overrides
+  const amplitude = { mode: "auto", uvPerDiv: 50, channels: new Map() };
+  let selectedChannel = null; // name; target of the gain keys
   
   
 
   // Bind EDF parser and renderers from separate modules
-  const parseEdf = window.LucidifyParseEdf;
+  const parseEdfFileInWorker = window.LucidifyParseEdfFileInWorker;
   const createFakeRecording = window.LucidifyCreateFakeRecording;
-  const drawWaveform = window.LucidifyDrawWaveform;
-  const drawSpectrogram = window.LucidifyDrawSpectrogram;
+  const drawWaveformView = window.LucidifyDrawWaveform;
+  const drawSpectrogramView = window.LucidifyDrawSpectrogram;
   const resizeCanvasToDisplaySize = window.LucidifyResizeCanvasToDisplaySize;
+  const formatTime = window.LucidifyFormatTime;
   
   const waveformSection = document.getElementById("waveform-section");
   const spectrogramSection = document.getElementById("spectrogram-section");
@@ -147,6 +210,13 @@ flipSecondChannelVertRef.value = true;
       editingFreqRef:      { get value() { return editingFreq; },      set value(v) { editingFreq = v; } },
       freqRangeLabelRef:   { get value() { return freqRangeLabel; } },
 	  flipSecondChannelVertRef,
+      clockOriginSecRef:   { get value() { return useClockTime ? clockOriginSec : null; } },
+      displayFiltersRef:   { get value() { return displayFilters; } },
+      amplitudeRef:        { get value() { return amplitude; } },
+      selectedChannelRef:  { get value() { return selectedChannel; } },
+      spectrogramParamsRef: { get value() { return spectrogramParams; } },
+      spectrogramLimitsRef: { get value() { return spectrogramLimits; }, set value(v) { spectrogramLimits = v; } },
+      spectrogramRedrawRef: { get value() { return scheduleSpectrogramDraw; } },
     });
   }
 
@@ -156,6 +226,19 @@ flipSecondChannelVertRef.value = true;
   }
   
   // --- UI / state helpers ------------------------------------------------
+  // Save `data` (string or ArrayBuffer) as a download
+  function downloadFile(data, type, filename) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([data], { type }));
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      URL.revokeObjectURL(a.href);
+      a.remove();
+    }, 0);
+  }
+
   function setSectionLoading(sectionEl, isLoading) {
     if (!sectionEl) return;
     const overlay = sectionEl.querySelector(".section-overlay");
@@ -163,6 +246,94 @@ flipSecondChannelVertRef.value = true;
     sectionEl.classList.toggle("loading", isLoading);
   }
 
+  // --- Paged recordings (edf_paged_source.js) --------------------------
+  // Views draw whatever is loaded (raw window or min/max overview), then the
+  // view window is paged in from the file and drawn again.
+
+  let pageTimer = 0;
+  let spectrogramAwaitingPage = false;
+
+  function pageInView(recording) {
+    clearTimeout(pageTimer);
+    pageTimer = setTimeout(async () => {
+      const source = recording.paged;
+      try {
+        const loaded = await source.ensureWindow(viewStartSec, viewDurationSec);
+        if (!loaded || recording !== lastRecording) return;
+        if (!source.covers(viewStartSec, viewDurationSec)) {
+          pageInView(recording); // the view moved while fetching
+          return;
+        }
+        drawWaveformView(waveformCtx, waveformCanvas, recording, waveformVisible);
+        if (spectrogramAwaitingPage) {
+          spectrogramAwaitingPage = false;
+          drawSpectrogramView(spectrogramCtx, spectrogramCanvas, recording, spectrogramVisible);
+          showSpectrogramLimits();
+        }
+      } catch (err) {
+        console.error("Failed to page in EDF window:", err);
+      }
+    }, 60);
+  }
+
+  function drawWaveform(ctx, canvas, recording, visible) {
+    drawWaveformView(ctx, canvas, recording, visible);
+    if (recording?.paged && !recording.paged.covers(viewStartSec, viewDurationSec)) {
+      pageInView(recording);
+    }
+  }
+
+  // The spectrogram follows every view change, redrawn at most once a
+  // frame; its frames come from the cache or the worker (spectrogram_frames.js)
+  let spectrogramFrame = 0;
+  function scheduleSpectrogramDraw() {
+    if (spectrogramFrame) return;
+    spectrogramFrame = requestAnimationFrame(() => {
+      spectrogramFrame = 0;
+      refreshSpectrogram();
+    });
+  }
+
+  function drawSpectrogram(ctx, canvas, recording, visible) {
+    drawSpectrogramView(ctx, canvas, recording, visible);
+    showSpectrogramLimits();
+    if (recording?.paged && !recording.paged.covers(viewStartSec, viewDurationSec)) {
+      spectrogramAwaitingPage = true;
+      pageInView(recording);
+    }
+  }
+
+  /**
+   * Open a file too large to decode whole: header only, then the view
+   * window is paged in and a min/max overview is built in the background.
+   * @param {File} file
+   */
+  async function loadPagedEdfFile(file) {
+    const recording = await window.LucidifyOpenPagedEdf(file);
+    useRecording(recording);
+
+    const label = `${file.name} (${(file.size / (1024 * 1024)).toFixed(0)} MB, paged)`;
+    fileInfo.textContent = `${label}: building overview…`;
+    recording.paged.buildOverview((loaded, total) => {
+      if (recording === lastRecording && total > 0) {
+        fileInfo.textContent =
+          `${label}: building overview ${Math.round((100 * loaded) / total)}%`;
+      }
+    }).then(() => {
+      if (recording !== lastRecording) return;
+      fileInfo.textContent = label;
+      drawWaveform(waveformCtx, waveformCanvas, recording, waveformVisible);
+      updateOverview();
+      // whole-night staging reads the file once more, after this pass
+      setSectionLoading(hypnogramSection, true);
+      renderHypnogramFromSelection()
+        .catch((err) => console.error("Staging failed:", err))
+        .finally(() => setSectionLoading(hypnogramSection, false));
+    }, (err) => {
+      if (!err.cancelled) console.error("EDF overview failed:", err);
+    });
+  }
+
 function redrawWaveform() {
   if (!lastRecording) return;
 
@@ -184,6 +355,7 @@ window.addEventListener("resize", () => {
 
     resizeCanvasToDisplaySize(waveformCanvas);
     drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+    drawOverview();
 
     // Optional (heavier): only if you want them to stay crisp on resize
     // resizeCanvasToDisplaySize(spectrogramCanvas);
@@ -227,7 +399,22 @@ function ensureHypnogramModelSelector() {
     try { await renderHypnogramFromSelection(); }
     finally { setSectionLoading(hypnogramSection, false); }
   });
-  
+
+  // Our own _events.tsv (hypnogram export) has stage_hum next to stage_ai,
+  // with "n/a" where an epoch was not scored: take the manual column when
+  // it covers every staged epoch, else the model's. Other files get the
+  // parser's default column order.
+  function referenceStageColumn(tsvText) {
+    const rows = String(tsvText || "").replace(/\r/g, "").split("\n")
+      .filter((l) => l.trim().length).map((l) => l.split("\t").map((c) => c.trim()));
+    const hum = rows[0]?.indexOf("stage_hum") ?? -1;
+    const ai = rows[0]?.indexOf("stage_ai") ?? -1;
+    if (hum < 0 || ai < 0) return undefined;
+    const staged = (v) => v != null && v !== "" && v !== "n/a";
+    const partial = rows.slice(1).some((r) => staged(r[ai]) && !staged(r[hum]));
+    return partial ? "stage_ai" : "stage_hum";
+  }
+
   refInput?.addEventListener("change", async (ev) => {
     const f = ev.target.files?.[0];
     if (!f) return;
@@ -255,7 +442,7 @@ function ensureHypnogramModelSelector() {
 	totalDurationSec: lastRecording?.durationSec,
 	fs: lastRecording?.channels?.[0]?.fs, // if you want begsample alignment
 	preferSamples: true,
-	// stageColumn: "stage_hum", // optional override
+	stageColumn: referenceStageColumn(tsvText),
 	sourceName: f.name,
 	});
     } else {
@@ -301,25 +488,81 @@ function getSelectedHypnogramModelUrl() {
       return;
     }
     const end = viewStartSec + viewDurationSec;
+    if (useClockTime && clockOriginSec != null) {
+      timeLabel.textContent =
+        `Time: ${formatTime(viewStartSec, 0.1)}–${formatTime(end, 0.1)} / ` +
+        `${formatTime(0)}–${formatTime(lastRecording.durationSec)}`;
+      return;
+    }
     timeLabel.textContent =
       `Time: ${viewStartSec.toFixed(2)}–${end.toFixed(2)} s / ` +
       `${lastRecording.durationSec.toFixed(2)} s`;
   }
+
+  // Page-by-epoch mode: the view starts on an epoch boundary and spans
+  // whole epochs (free scrolling otherwise). Recordings shorter than an
+  // epoch are left alone.
+  function snapViewToEpochs() {
+    if (!epochPaging || !lastRecording) return;
+    const span = Math.min(lastRecording.durationSec || 1, maxViewSpanSec);
+    if (span < EPOCH_SEC) return;
+
+    const n = Math.max(1, Math.round(viewDurationSec / EPOCH_SEC));
+    viewDurationSec = Math.min(n, Math.floor(span / EPOCH_SEC)) * EPOCH_SEC;
+    const maxStart = Math.max(0, span - viewDurationSec);
+    viewStartSec = Math.min(Math.floor(viewStartSec / EPOCH_SEC + 1e-6) * EPOCH_SEC, maxStart);
+  }
+
+  // Move the shared view window (clamped to the recording) and refresh the
+  // cheap views: labels, pan thumb and waveform.
+  function setViewWindow(startSec, durationSec = viewDurationSec) {
+    if (!lastRecording) return;
+    const duration = lastRecording.durationSec || 1;
+    const span = Math.min(duration, maxViewSpanSec);
+
+    viewDurationSec = Math.min(Math.max(durationSec, Math.min(0.25, span)), span);
+    viewStartSec = Math.min(Math.max(startSec, 0), Math.max(0, span - viewDurationSec));
+    snapViewToEpochs();
+
+    updateTimeLabel();
+    updatePanThumb();
+    syncZoomSlider();
+    drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+  }
+
+  // Put the zoom slider where its log mapping gives viewDurationSec
+  function syncZoomSlider() {
+    const duration = lastRecording.durationSec || 1;
+    const lnMin = Math.log(Math.min(0.25, duration));
+    const lnMax = Math.log(duration);
+    const minV = Number(zoomSlider.min || 1);
+    const maxV = Number(zoomSlider.max || 100);
+    const t = lnMax > lnMin ? 1 - (Math.log(viewDurationSec) - lnMin) / (lnMax - lnMin) : 1;
+    zoomSlider.value = String(minV + Math.min(Math.max(t, 0), 1) * (maxV - minV));
+  }
+
+  // Average the selected channels into one staging signal. Channels at
+  // different rates (common after vendor export) are first brought to the
+  // lowest selected rate with YASA_DSP._downsampleTo: integer ratios get a
+  // moving-average anti-alias, others a low-pass and a linear resample.
+  // Staging itself resamples to 100 Hz afterwards, so nothing is gained by
+  // going higher.
   function mergeChannels(recording, indices) {
     const chans = recording.channels;
-    const fs = chans[indices[0]].fs;
-  
+    let fs = Infinity;
+    for (const i of indices) fs = Math.min(fs, chans[i].fs);
+
+    const signals = indices.map((i) => {
+      const ch = chans[i];
+      if (ch.fs === fs) return ch.samples;
+      return window.YASA_DSP._downsampleTo(ch.samples, ch.fs, fs);
+    });
+
     let minLen = Infinity;
-    for (const i of indices) {
-      if (chans[i].fs !== fs) {
-        throw new Error("Hypnogram channels must share the same sampling rate.");
-      }
-      minLen = Math.min(minLen, chans[i].samples.length);
-    }
+    for (const s of signals) minLen = Math.min(minLen, s.length);
   
     const out = new Float32Array(minLen);
-    for (const i of indices) {
-      const s = chans[i].samples;
+    for (const s of signals) {
       for (let j = 0; j < minLen; j++) out[j] += s[j];
     }
   
@@ -341,17 +584,33 @@ function getSelectedHypnogramModelUrl() {
     for (let i = 0; i < samples.length; i++) out[i] = samples[i] * mul;
     return out;
   }
+  // EDF+D gaps are NaN in the samples; staging needs finite input. In
+  // place: the merged staging signal is our own copy.
+  function fillGapsWithZero(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      if (Number.isNaN(samples[i])) samples[i] = 0;
+    }
+    return samples;
+  }
+
+  // Epochs that are mostly inside an EDF+D gap get no stage (null).
+  function maskGapEpochs(stages, startSec, epochSec, gaps) {
+    if (!gaps || !gaps.length) return stages;
+    return stages.map((stage, e) => {
+      const a = startSec + e * epochSec;
+      const b = a + epochSec;
+      let missing = 0;
+      for (const g of gaps) {
+        missing += Math.max(0, Math.min(b, g.endSec) - Math.max(a, g.startSec));
+      }
+      return missing > epochSec / 2 ? null : stage;
+    });
+  }
   function nextPaint() {
     return new Promise((resolve) =>
       requestAnimationFrame(() => requestAnimationFrame(resolve))
     );
   }
-  function sliceView(samples, fs) {
-    const startSamp = Math.max(0, Math.floor(viewStartSec * fs));
-    const endSamp = Math.min(samples.length, Math.floor((viewStartSec + viewDurationSec) * fs));
-    if (endSamp <= startSamp) return samples.subarray(0, 0);
-    return samples.subarray(startSamp, endSamp);
-  }
   function viterbiSmoothSleepStages(probs, labels) {
   // probs: Array[T] of Array[K] (K must match labels.length)
     const T = probs?.length || 0;
@@ -422,112 +681,425 @@ function getSelectedHypnogramModelUrl() {
     return path;
   }
  
+  // Staging reads and scores the whole night in chunks of this many epochs,
+  // yielding in between (per-epoch models; YASA needs the night in one go)
+  const STAGE_CHUNK_EPOCHS = 120;
+
+  // Stage labels in model probability order; YASA reports stage ids into it
+  const STAGE_LABELS = ["W", "N1", "N2", "N3", "REM"];
+
+  // Staging results enter the app with stage labels only
+  function withStageLabels(result) {
+    const stages = result.stages.map((s) => (typeof s === "number" ? STAGE_LABELS[s] ?? null : s));
+    return { stages, probs: result.probs };
+  }
+
+  function yieldToUi() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  // Staging cache key part for a channel: derived channels by definition,
+  // so a montage edit re-stages only what changed
+  function stagingChannelKey(ch) {
+    if (!ch.derivation) return ch.name;
+    return `${ch.name}=${ch.derivation.terms.map((t) => `${t.weight}*${t.index}`).join("+")}`;
+  }
+
+  // Merged hypnogram channels over the whole recording. Paged recordings
+  // are read from the file chunk by chunk.
+  async function readStagingSignal(recording, indices) {
+    if (!recording.paged) return mergeChannels(recording, indices);
+
+    const durationSec = recording.durationSec;
+    const chunkSec = STAGE_CHUNK_EPOCHS * EPOCH_SEC;
+    let out = null;
+    let fs = 0;
+    let physDim = "";
+    let filled = 0;
+    for (let t = 0; t < durationSec; t += chunkSec) {
+      const range = await window.LucidifyReadMontageRange(
+        recording, t, Math.min(durationSec, t + chunkSec), indices);
+      if (recording !== lastRecording) throw Object.assign(new Error("Recording closed"), { cancelled: true });
+      const part = mergeChannels(range, range.channels.map((_, k) => k));
+      if (!out) {
+        ({ fs, physDim } = part);
+        out = new Float32Array(Math.floor(durationSec * fs));
+      }
+      const at = Math.round((range.startSec ?? t) * fs);
+      const n = Math.min(part.samples.length, out.length - at);
+      if (n > 0) out.set(part.samples.subarray(0, n), at);
+      filled = Math.max(filled, at + Math.max(0, n));
+      await yieldToUi();
+    }
+    return { samples: out ? out.subarray(0, filled) : new Float32Array(0), fs, physDim };
+  }
+
+  // Model output for one stretch of samples: { stages, probs }
+  async function stageSamples(model, samplesNative, samplesV, fs, physDim) {
+    if (model === "yasa") {
+      if (!window.LucidifyYasaSleepStage?.runFromSamples) {
+        throw new Error("YASA selected, but LucidifyYasaSleepStage is not loaded.");
+      }
+      return window.LucidifyYasaSleepStage.runFromSamples(
+        samplesNative, fs, { epochSec: EPOCH_SEC, physDim });
+    }
+    const modelUrl = getSelectedHypnogramModelUrl();
+    if (window.LucidifySleepStage?.run) {
+      return window.LucidifySleepStage.run(
+        {
+          channels: [{ name: "merged", fs, physDim, samples: samplesV }],
+          durationSec: samplesV.length / fs,
+        },
+        { epochSec: EPOCH_SEC, channelIndex: 0, modelUrl }
+      );
+    }
+    if (window.LucidifySleepStage?.runFromSamples) {
+      return window.LucidifySleepStage.runFromSamples(samplesV, fs, { epochSec: EPOCH_SEC, modelUrl });
+    }
+    throw new Error("No sleep staging API found (LucidifySleepStage.run or runFromSamples).");
+  }
+
+  // YASA stages the night in one call; it runs in yasa_worker.js so the
+  // page stays responsive (on the main thread where workers are
+  // unavailable, e.g. file:// pages)
+  const YASA_WORKER_URL = "yasa_worker.js";
+  let yasaWorker = null;
+  let yasaWorkerFailed = false;
+  let nextYasaJobId = 1;
+  const yasaJobs = new Map(); // id -> { resolve, reject }
+
+  function workerUnavailable(why) {
+    return Object.assign(new Error(`YASA worker unavailable: ${why}`), { workerUnavailable: true });
+  }
+
+  function startYasaWorker() {
+    if (yasaWorker || yasaWorkerFailed) return yasaWorker;
+    try {
+      yasaWorker = new Worker(YASA_WORKER_URL);
+    } catch (err) {
+      console.warn("YASA worker unavailable, staging on the main thread:", err);
+      yasaWorkerFailed = true;
+      return null;
+    }
+    yasaWorker.onmessage = (ev) => {
+      const msg = ev.data || {};
+      const job = yasaJobs.get(msg.id);
+      if (!job) return;
+      yasaJobs.delete(msg.id);
+      if (msg.type === "done") job.resolve({ stages: msg.stages, probs: msg.probs });
+      else job.reject(new Error(msg.message));
+    };
+    yasaWorker.onerror = (ev) => {
+      ev.preventDefault();
+      console.warn("YASA worker unavailable, staging on the main thread:", ev.message);
+      yasaWorkerFailed = true;
+      yasaWorker.terminate();
+      yasaWorker = null;
+      const pending = [...yasaJobs.values()];
+      yasaJobs.clear();
+      for (const job of pending) job.reject(workerUnavailable(ev.message || "worker failed"));
+    };
+    return yasaWorker;
+  }
+
+  // The samples' buffer is transferred (gone from this thread afterwards)
+  function stageYasaInWorker(worker, samples, fs, physDim) {
+    return new Promise((resolve, reject) => {
+      const id = nextYasaJobId++;
+      yasaJobs.set(id, { resolve, reject });
+      worker.postMessage({ type: "stage", id, samples, fs, epochSec: EPOCH_SEC, physDim },
+                         [samples.buffer]);
+    });
+  }
+
+  // Closing the recording stops its YASA run: the worker is dropped (a new
+  // one starts with the next job) and waiting jobs are cancelled
+  function cancelYasaStaging() {
+    if (!yasaWorker || !yasaJobs.size) return;
+    yasaWorker.terminate();
+    yasaWorker = null;
+    const pending = [...yasaJobs.values()];
+    yasaJobs.clear();
+    for (const job of pending) {
+      job.reject(Object.assign(new Error("Recording closed"), { cancelled: true }));
+    }
+  }
+
+  // YASA over the whole merged signal (original units), in the worker when
+  // there is one
+  async function stageYasa(recording, indices, samples, fs, physDim) {
+    const worker = startYasaWorker();
+    if (!worker) return stageSamples("yasa", samples, null, fs, physDim);
+    try {
+      return await stageYasaInWorker(worker, samples, fs, physDim);
+    } catch (err) {
+      if (!err.workerUnavailable) throw err;
+      // the samples went to the failed worker: read them again
+      const again = await readStagingSignal(recording, indices);
+      return stageSamples("yasa", fillGapsWithZero(again.samples), null, fs, again.physDim);
+    }
+  }
+
+  // Stage the whole recording once: epoch k of the result is
+  // [k * EPOCH_SEC, (k + 1) * EPOCH_SEC)
+  async function stageWholeNight(recording, indices, model) {
+    const merged = await readStagingSignal(recording, indices);
+    const fs = merged.fs;
+    const samples = fillGapsWithZero(merged.samples);
+
+    // Original units for YASA, volts (per chunk) for the Lucidify LR models
+    if (model === "yasa") {
+      return withStageLabels(await stageYasa(recording, indices, samples, fs, merged.physDim));
+    }
+
+    const chunk = STAGE_CHUNK_EPOCHS * Math.floor(EPOCH_SEC * fs); // whole epochs as the models cut them
+    const stages = [];
+    const probs = [];
+    for (let a = 0; a < samples.length; a += chunk) {
+      const b = Math.min(samples.length, a + chunk);
+      const native = samples.subarray(a, b);
+      const part = await stageSamples(model, native, normalizeToVolts(native, merged.physDim),
+                                      fs, merged.physDim);
+      stages.push(...part.stages);
+      probs.push(...(part.probs || []));
+      await yieldToUi();
+      if (recording !== lastRecording) throw Object.assign(new Error("Recording closed"), { cancelled: true });
+    }
+    return withStageLabels({ stages, probs });
+  }
+
 //---------------------------------------------------------------------------
 //---------------------RenderHypnogramFromSelection
+// Whole-night hypnogram for the selected model and channels, independent of
+// the view. Staging runs once per model and channel selection (cached in
+// stagingCache); the HMM path is kept next to it, so toggling HMM or
+// returning to an earlier selection redraws without re-staging.
 async function renderHypnogramFromSelection() {
     if (!lastRecording) return;
-    console.log("rendering hypnogram from selection");
     ensureHypnogramModelSelector();
-  
-    resizeCanvasToDisplaySize(hypnogramCanvas);
-    hypnogramCanvas.height = 160;
-    const ctx = hypnogramCanvas.getContext("2d");
-    ctx.clearRect(0, 0, hypnogramCanvas.width, hypnogramCanvas.height);
-  
+
+    const request = ++hypnogramRequest;
+    const recording = lastRecording;
     const indices = [];
     for (let i = 0; i < hypnogramVisible.length; i++) {
       if (hypnogramVisible[i]) indices.push(i);
     }
-    if (indices.length === 0) return;
-  
-    const merged = mergeChannels(lastRecording, indices);
-    const fs = merged.fs;
-    
-    // Keep original units for YASA
-    const samplesNative_full = merged.samples;      // in merged.physDim (often µV)
-    // Keep volts for Lucidify LR models
-    const samplesV_full = normalizeToVolts(samplesNative_full, merged.physDim);
-    
-    // Slice both using the same indices
-    let windowSamplesNative = sliceView(samplesNative_full, fs);
-    let windowSamplesV      = sliceView(samplesV_full, fs);
-    let windowStartSecUsed = viewStartSec;
-    let windowSamples = sliceView(samplesV_full, fs);
-    // Ensure at least 1 epoch (apply same a/b to both)
-    const epochSamp = Math.floor(30 * fs);
-    if (windowSamplesV.length < epochSamp) {
-      const centerSec = viewStartSec + viewDurationSec / 2;
-      const center = Math.floor(centerSec * fs);
-      let a = Math.max(0, center - Math.floor(epochSamp / 2));
-      let b = Math.min(samplesV_full.length, a + epochSamp);
-      a = Math.max(0, b - epochSamp);
-    
-      windowSamplesV      = samplesV_full.slice(a, b);
-      windowSamplesNative = samplesNative_full.slice(a, b);
-  	windowStartSecUsed = a / fs;
-    }
-  
-    const selected =
+    if (indices.length === 0) {
+      lastHypnogram = null;
+      resizeCanvasToDisplaySize(hypnogramCanvas);
+      hypnogramCanvas.height = 160;
+      hypnogramCanvas.getContext("2d").clearRect(0, 0, hypnogramCanvas.width, hypnogramCanvas.height);
+      drawHypnogram(); // manual scores, if any
+      updateSleepStats();
+      return;
+    }
+
+    const model =
       document.querySelector('input[name="hypnogram-model"]:checked')?.value || "physio";
-  
-    let stages, probs;
-  
-    if (selected === "yasa") {
-      if (!window.LucidifyYasaSleepStage?.runFromSamples) {
-        throw new Error("YASA selected, but LucidifyYasaSleepStage is not loaded.");
-      }
-      ({ stages, probs } = await window.LucidifyYasaSleepStage.runFromSamples(
-        windowSamplesNative, fs, { epochSec: 30, physDim: merged.physDim }
-      ));
-    } else if (window.LucidifySleepStage?.run) {
-      const modelUrl = getSelectedHypnogramModelUrl();
-      ({ stages, probs } = await window.LucidifySleepStage.run(
-        {
-          channels: [{ name: "merged", fs, physDim: merged.physDim, samples: windowSamplesV }],
-          durationSec: windowSamplesV.length / fs,
-        },
-        { epochSec: 30, channelIndex: 0, modelUrl }
-      ));
-    } else if (window.LucidifySleepStage?.runFromSamples) {
-      const modelUrl = getSelectedHypnogramModelUrl();
-      ({ stages, probs } = await window.LucidifySleepStage.runFromSamples(
-        windowSamplesV,
-        fs,
-        { epochSec: 30, modelUrl }
-      ));
-    } else {
-      throw new Error("No sleep staging API found (LucidifySleepStage.run or runFromSamples).");
+    const key = `${model}|${indices.map((i) => stagingChannelKey(recording.channels[i])).join("\t")}`;
+
+    let job = stagingCache.get(key);
+    if (!job) {
+      job = stageWholeNight(recording, indices, model);
+      stagingCache.set(key, job);
+      job.catch(() => {
+        if (stagingCache.get(key) === job) stagingCache.delete(key); // retry on next request
+      });
     }
-  
+
+    let staged;
+    try {
+      staged = await job;
+    } catch (err) {
+      if (err.cancelled) return;
+      throw err;
+    }
+    if (request !== hypnogramRequest || recording !== lastRecording) return;
+
     const hmmCb = document.getElementById("hypnogram-hmm-checkbox");
-    let stagesToDraw = stages;
-  
-    if (hmmCb?.checked && Array.isArray(probs) && probs.length === stages.length) {
-      const labels = ["W", "N1", "N2", "N3", "REM"];
-      stagesToDraw = viterbiSmoothSleepStages(probs, labels);
+    let stagesToDraw = staged.stages;
+    if (hmmCb?.checked && Array.isArray(staged.probs) && staged.probs.length === staged.stages.length) {
+      staged.smoothed ??= viterbiSmoothSleepStages(staged.probs, ["W", "N1", "N2", "N3", "REM"]);
+      stagesToDraw = staged.smoothed;
     }
-  
-    window.renderHypnogramStep(hypnogramCanvas, stagesToDraw, { leftMargin: 80 });
-    
-    if (referenceHypno?.stages?.length) {
-      const epochSec = referenceHypno.epochSec || 30;
-      const startEpoch = Math.floor(windowStartSecUsed / epochSec);
-      const refSlice = referenceHypno.stages.slice(startEpoch, startEpoch + stagesToDraw.length);
-    
+    stagesToDraw = maskGapEpochs(stagesToDraw, 0, EPOCH_SEC, recording.gaps);
+
+    // gap epochs were scored from zero-filled samples: no probabilities
+    // either (hypnodensity band, confidence, exports)
+    const probs = staged.probs?.map((p, k) => (stagesToDraw[k] == null ? null : p));
+    lastHypnogram = { stages: stagesToDraw, probs, startSec: 0, epochSec: EPOCH_SEC };
+    drawHypnogram();
+    updateSleepStats();
+
+    const refSlice = referenceSliceFor(lastHypnogram);
+    if (refSlice) {
+      const m = window.HYPNO_REF.compareStages(stagesToDraw, refSlice);
+      console.log(
+        `Ref compare (${referenceHypno.sourceName || "ref"}): ` +
+        `N=${m.N} acc=${(m.acc * 100).toFixed(1)}% kappa=${m.kappa.toFixed(3)}`
+      );
+    }
+  }
+
+  // Reference epochs aligned with a staged hypnogram (null if no reference).
+  function referenceSliceFor(hypno) {
+    if (!hypno || !referenceHypno?.stages?.length) return null;
+    const epochSec = referenceHypno.epochSec || 30;
+    const startEpoch = Math.floor(hypno.startSec / epochSec);
+    return referenceHypno.stages.slice(startEpoch, startEpoch + hypno.stages.length);
+  }
+
+  // Plot margins of the hypnogram canvas (also used to map clicks to epochs)
+  const HYPNO_LEFT_MARGIN = 80;
+  const HYPNO_PADDING = 10;
+
+  // Band under the step plot for the manual scores row
+  const HYPNO_SCORE_ROW = 18;
+
+  // Band under the step plot for the hypnodensity; epochs whose confidence
+  // (probability of the stage shown) is below the threshold are highlighted
+  const HYPNO_DENSITY_ROW = 44;
+  const hypnodensityCheckbox = document.getElementById("hypnodensity-checkbox");
+  const confidenceThresholdInput = document.getElementById("confidence-threshold");
+
+  function showDensityRow() {
+    return (hypnodensityCheckbox?.checked ?? true) &&
+      lastHypnogram?.probs?.length === lastHypnogram?.stages.length;
+  }
+
+  function confidenceThreshold() {
+    const v = parseFloat(confidenceThresholdInput?.value);
+    return Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 0.5;
+  }
+
+  // Model confidence of lastHypnogram epoch k: the probability of the
+  // stage shown, which with HMM smoothing need not be the most likely one.
+  // null without probabilities.
+  function epochConfidence(k) {
+    const p = lastHypnogram?.probs?.[k];
+    const i = MODEL_LABELS.indexOf(lastHypnogram?.stages[k]);
+    if (!p || i < 0 || !Number.isFinite(p[i])) return null;
+    return p[i];
+  }
+
+  function isLowConfidence(k) {
+    const conf = epochConfidence(k);
+    return conf != null && conf < confidenceThreshold();
+  }
+
+  hypnodensityCheckbox?.addEventListener("change", () => drawHypnogram());
+  confidenceThresholdInput?.addEventListener("input", () => drawHypnogram());
+
+  function showScoreRow() {
+    return scoringMode || userScores.stages.some((stage) => stage != null);
+  }
+
+  // Epochs the hypnogram canvas spans: the staged ones, else (scoring
+  // without a model hypnogram) the recording's epoch grid
+  function hypnogramSpan() {
+    if (lastHypnogram) return lastHypnogram;
+    if (!showScoreRow()) return null;
+    return { stages: new Array(userScores.stages.length).fill(null), startSec: 0, epochSec: EPOCH_SEC };
+  }
+
+  // Draw lastHypnogram (+ reference overlay and manual scores) without
+  // re-staging.
+  function drawHypnogram() {
+    updateScoringStatus();
+    const span = hypnogramSpan();
+    if (!span) return;
+    const scoreRow = showScoreRow() ? HYPNO_SCORE_ROW : 0;
+    const densityRow = showDensityRow() ? HYPNO_DENSITY_ROW : 0;
+    resizeCanvasToDisplaySize(hypnogramCanvas);
+    hypnogramCanvas.height = 160 + scoreRow + densityRow;
+
+    const axisHeight = 16;
+    window.renderHypnogramStep(hypnogramCanvas, span.stages, {
+      leftMargin: HYPNO_LEFT_MARGIN,
+      padding: HYPNO_PADDING,
+      axisHeight: axisHeight + scoreRow + densityRow,
+      startSec: span.startSec,
+      epochSec: span.epochSec,
+    });
+    if (densityRow) {
+      drawLowConfidenceEpochs(hypnogramCanvas.height - axisHeight - scoreRow - densityRow);
+      window.renderHypnodensity(hypnogramCanvas, lastHypnogram.probs, {
+        leftMargin: HYPNO_LEFT_MARGIN,
+        padding: HYPNO_PADDING,
+        top: hypnogramCanvas.height - axisHeight - scoreRow - densityRow,
+        height: densityRow - 4,
+        labels: MODEL_LABELS,
+        threshold: confidenceThreshold(),
+        confidence: lastHypnogram.stages.map((_, k) => epochConfidence(k)),
+        label: "Prob.",
+      });
+    }
+
+    const refSlice = referenceSliceFor(span);
+    if (refSlice) {
       // Overlay using same coordinate mapping + step style as the base renderer
 		window.renderHypnogramStepOverlay(hypnogramCanvas, refSlice, {
-		  leftMargin: 80,
+		  leftMargin: HYPNO_LEFT_MARGIN,
+		  padding: HYPNO_PADDING,
+		  axisHeight: axisHeight + scoreRow + densityRow,
 		  lineWidth: 2,
 		  dash: [], // solid
 		  strokeStyle: "rgba(255, 255, 0, .5)", 
 		});
-    
-      const m = window.HYPNO_REF.compareStages(stagesToDraw, refSlice);
-      console.log(
-        `Ref compare (${referenceHypno.sourceName || "ref"}): ` +
-        `N=${m.N} acc=${(m.acc * 100).toFixed(1)}% kappa=${m.kappa.toFixed(3)}`
-      );
     }
+    if (scoreRow) {
+      // scores on the staged epochs' grid
+      const scores = span.stages.map((_, k) =>
+        userScores.stages[Math.round(span.startSec / span.epochSec) + k] ?? null);
+      window.renderHypnogramRow(hypnogramCanvas, scores, {
+        leftMargin: HYPNO_LEFT_MARGIN,
+        padding: HYPNO_PADDING,
+        top: hypnogramCanvas.height - axisHeight - scoreRow,
+        height: scoreRow - 4,
+        label: "Scored",
+      });
+    }
+    drawHypnogramViewWindow(axisHeight);
+  }
+
+  // Shade runs of low-confidence epochs over the step plot (down to `bottom`)
+  function drawLowConfidenceEpochs(bottom) {
+    const map = timeMapFor(hypnogramCanvas);
+    if (!map || map.windowSec <= 0) return;
+    const n = lastHypnogram.stages.length;
+    const dx = map.drawW / Math.max(1, n - 1);
+    const ctx = hypnogramCanvas.getContext("2d");
+    ctx.save();
+    ctx.fillStyle = "rgba(255, 150, 40, 0.25)";
+    for (let a = 0; a < n; a++) {
+      if (!isLowConfidence(a)) continue;
+      let b = a + 1;
+      while (b < n && isLowConfidence(b)) b++;
+      const x = map.x0 + a * dx;
+      ctx.fillRect(x, 0, Math.max(1, Math.min((b - a) * dx, map.x0 + map.drawW - x)), bottom);
+      a = b;
+    }
+    ctx.restore();
+  }
+
+  // The view window on the full-night hypnogram
+  function drawHypnogramViewWindow(axisHeight) {
+    const map = timeMapFor(hypnogramCanvas);
+    if (!map || map.windowSec <= 0) return;
+    const toX = (t) => map.x0 + ((t - map.startSec) / map.windowSec) * map.drawW;
+    const x1 = Math.max(map.x0, toX(viewStartSec));
+    const x2 = Math.min(map.x0 + map.drawW, toX(viewStartSec + viewDurationSec));
+    const w = Math.max(2, x2 - x1);
+    const h = hypnogramCanvas.height - axisHeight;
+
+    const ctx = hypnogramCanvas.getContext("2d");
+    ctx.save();
+    ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+    ctx.fillRect(x1, 0, w, h);
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x1 + 0.5, 0.5, w - 1, h - 1);
+    ctx.restore();
   }
 //------------------------------------------------------------------------------------------
   function stageToY(stage) {
@@ -545,6 +1117,9 @@ async function renderHypnogramFromSelection() {
   // Pan thumb reflects which portion of the recording we’re viewing.
   function updatePanThumb() {
     if (!lastRecording || !panTrack) return;
+    drawOverview(); // its view rectangle is a second pan thumb
+    drawHypnogram(); // and so is the hypnogram's view window
+    scheduleSpectrogramDraw();
     const trackRect = panTrack.getBoundingClientRect();
     const trackWidth = trackRect.width;
     if (trackWidth <= 0) return;
@@ -586,6 +1161,7 @@ async function renderHypnogramFromSelection() {
 
     const maxStart = span - windowSpan;
     viewStartSec = frac * maxStart;
+    snapViewToEpochs();
 
     updateTimeLabel();
     updatePanThumb();
@@ -593,13 +1169,193 @@ async function renderHypnogramFromSelection() {
     drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
   }
 
+  // --- Display filters ---------------------------------------------------
+
+  const HIGHPASS_CHOICES_HZ = [0.1, 0.3, 0.5, 1, 5];
+  const LOWPASS_CHOICES_HZ = [15, 30, 35, 40, 70, 100];
+  const NOTCH_CHOICES_HZ = [50, 60];
+
+  /**
+   * High-pass / low-pass / notch selects that set the display filter of
+   * the channels called `names`. Cutoffs at or above Nyquist (fs / 2) are
+   * not offered.
+   * @returns {{ span: HTMLElement, selects: Object<string, HTMLSelectElement> }}
+   */
+  function buildFilterSelects(names, fs, onChange) {
+    const span = document.createElement("span");
+    span.className = "channel-filters";
+    const current = displayFilters.get(names[0]) || {};
+    const fields = [
+      ["highpassHz", "HP", HIGHPASS_CHOICES_HZ, "High-pass (removes drift)"],
+      ["lowpassHz", "LP", LOWPASS_CHOICES_HZ, "Low-pass"],
+      ["notchHz", "Notch", NOTCH_CHOICES_HZ, "Mains notch"],
+    ];
+
+    const selects = {};
+    for (const [key, short, choices, title] of fields) {
+      const sel = document.createElement("select");
+      sel.title = title;
+      sel.add(new Option(`${short} off`, ""));
+      for (const hz of choices) {
+        if (hz < fs / 2) sel.add(new Option(`${short} ${hz} Hz`, String(hz)));
+      }
+      sel.value = current[key] ? String(current[key]) : "";
+      if (sel.selectedIndex < 0) sel.value = "";
+
+      sel.addEventListener("change", () => {
+        for (const name of names) {
+          const settings = Object.assign(
+            { highpassHz: null, lowpassHz: null, notchHz: null }, displayFilters.get(name));
+          settings[key] = sel.value ? Number(sel.value) : null;
+          if (window.LucidifyDisplayFilterActive(settings)) displayFilters.set(name, settings);
+          else displayFilters.delete(name);
+        }
+        onChange(key, sel.value);
+      });
+      selects[key] = sel;
+      span.appendChild(sel);
+    }
+    return { span, selects };
+  }
+
+  async function redrawFilteredWaveform() {
+    if (!lastRecording) return;
+    setSectionLoading(waveformSection, true);
+    await nextPaint();
+    try {
+      drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+    } finally {
+      setSectionLoading(waveformSection, false);
+    }
+  }
+
+  // --- Amplitude scaling ------------------------------------------------
+
+  const SENSITIVITY_LADDER_UV = [
+    1, 2, 3, 5, 7, 10, 15, 20, 30, 50, 70, 100, 150, 200, 300, 500, 700, 1000, 2000, 5000
+  ];
+  const GAIN_STEP = Math.SQRT2;
+  const sensitivitySelects = new Map(); // channel name -> its µV/div select
+
+  function isVoltage(physDim) {
+    return /^(n|u|µ|m)?V$/.test((physDim || "").trim());
+  }
+
+  function fillSensitivityOptions(sel, firstLabel) {
+    if (firstLabel) sel.add(new Option(firstLabel, ""));
+    for (const uv of SENSITIVITY_LADDER_UV) sel.add(new Option(`${uv} µV/div`, String(uv)));
+  }
+
+  // Per-channel µV/div override, used in fixed mode
+  function buildSensitivitySelect(name) {
+    const sel = document.createElement("select");
+    sel.className = "channel-sensitivity";
+    sel.title = "Sensitivity of this channel (fixed mode)";
+    fillSensitivityOptions(sel, "global µV/div");
+    sel.value = String(amplitude.channels.get(name)?.uvPerDiv || "");
+    sel.addEventListener("change", () => {
+      const per = Object.assign({}, amplitude.channels.get(name));
+      per.uvPerDiv = sel.value ? Number(sel.value) : null;
+      amplitude.channels.set(name, per);
+      if (lastRecording) drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+    });
+    sensitivitySelects.set(name, sel);
+    return sel;
+  }
+
+  /**
+   * One gain step for a channel: dir = +1 draws it larger. In fixed mode
+   * voltage channels move along the µV/div ladder, otherwise the gain
+   * changes by √2.
+   */
+  function stepChannelAmplitude(ch, dir) {
+    const per = Object.assign({}, amplitude.channels.get(ch.name));
+    if (amplitude.mode === "fixed" && isVoltage(ch.physDim)) {
+      const cur = per.uvPerDiv || amplitude.uvPerDiv;
+      let i = SENSITIVITY_LADDER_UV.findIndex((uv) => uv >= cur);
+      if (i < 0) i = SENSITIVITY_LADDER_UV.length - 1;
+      i = Math.min(Math.max(i - dir, 0), SENSITIVITY_LADDER_UV.length - 1);
+      per.uvPerDiv = SENSITIVITY_LADDER_UV[i];
+      const sel = sensitivitySelects.get(ch.name);
+      if (sel) sel.value = String(per.uvPerDiv);
+    } else {
+      per.gain = (per.gain || 1) * (dir > 0 ? GAIN_STEP : 1 / GAIN_STEP);
+    }
+    amplitude.channels.set(ch.name, per);
+  }
+
+  // Keys typed into these go to the control, not the viewer
+  function isTypingTarget(el) {
+    if (!el) return false;
+    if (el.tagName === "INPUT") return !["checkbox", "radio", "button"].includes(el.type);
+    return el.tagName === "SELECT" || el.tagName === "TEXTAREA" || el.isContentEditable;
+  }
+
+  function visibleWaveformChannels() {
+    return (lastRecording?.channels || []).filter((_, i) => waveformVisible[i]);
+  }
+
+  if (sensitivitySelect) {
+    fillSensitivityOptions(sensitivitySelect);
+    sensitivitySelect.value = String(amplitude.uvPerDiv);
+    sensitivitySelect.addEventListener("change", () => {
+      amplitude.uvPerDiv = Number(sensitivitySelect.value);
+      if (lastRecording) drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+    });
+  }
+
+  amplitudeModeSelect?.addEventListener("change", () => {
+    amplitude.mode = amplitudeModeSelect.value;
+    if (sensitivitySelect) sensitivitySelect.disabled = amplitude.mode !== "fixed";
+    if (lastRecording) drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+  });
+
+  document.getElementById("amplitude-reset-button")?.addEventListener("click", () => {
+    amplitude.channels.clear();
+    for (const sel of sensitivitySelects.values()) sel.value = "";
+    if (lastRecording) drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+  });
+
+  // Click a channel row to select it for the gain keys (again to deselect)
+  waveformCanvas.addEventListener("click", (ev) => {
+    if (consumeDragClick()) return;
+    const shown = visibleWaveformChannels();
+    if (!shown.length) return;
+    const rect = waveformCanvas.getBoundingClientRect();
+    const row = Math.floor(((ev.clientY - rect.top) / Math.max(rect.height, 1)) * shown.length);
+    const name = shown[Math.min(Math.max(row, 0), shown.length - 1)].name;
+    selectedChannel = selectedChannel === name ? null : name;
+    drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+  });
+
+  // ↑/↓: gain of the selected channel (all shown channels with Shift or
+  // when none is selected). Only while the waveform has focus, or a channel
+  // is selected and no other control has; page scrolling and other
+  // controls keep their arrow keys otherwise.
+  document.addEventListener("keydown", (ev) => {
+    if (!lastRecording || isTypingTarget(ev.target) || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    if (ev.key !== "ArrowUp" && ev.key !== "ArrowDown") return;
+    const shown = visibleWaveformChannels();
+    const selected = shown.find((ch) => ch.name === selectedChannel);
+    const onWaveform = ev.target === waveformCanvas;
+    if (!onWaveform && !(selected && ev.target === document.body)) return;
+    ev.preventDefault();
+
+    const targets = selected && !ev.shiftKey ? [selected] : shown;
+    for (const ch of targets) stepChannelAmplitude(ch, ev.key === "ArrowUp" ? 1 : -1);
+    drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+  });
+
   // --- Channel visibility controls --------------------------------------
 
   /**
    * Rebuild the checkboxes for wave/spectrogram visibility.
    * @param {Recording} recording
+   * @param {Map<string, Object>} [keep] - channel name -> { waveform,
+   *   spectrogram, hypnogram } to carry over (montage edits); channels not
+   *   in it get the defaults
      */
-  function buildChannelControls(recording) {
+  function buildChannelControls(recording, keep = null) {
     waveformControls.innerHTML = "";
     spectrogramChannelControls.innerHTML = "";
     hypnogramChannelControls.innerHTML = "";
@@ -623,6 +1379,25 @@ async function renderHypnogramFromSelection() {
   
     const channels = recording.channels || [];
     const n = channels.length;
+    sensitivitySelects.clear();
+
+    // display filter selects per channel, plus a row setting all of them
+    const filterSelects = [];
+    if (n > 0) {
+      const maxFs = Math.max(...channels.map((ch) => ch.fs || 0));
+      const all = buildFilterSelects(channels.map((ch) => ch.name), maxFs, (key, value) => {
+        for (const selects of filterSelects) {
+          selects[key].value = value;
+          if (selects[key].value !== value) selects[key].value = "";
+        }
+        redrawFilteredWaveform();
+      });
+      const allLabel = document.createElement("span");
+      allLabel.textContent = "Filters, all channels: ";
+      waveformControls.appendChild(allLabel);
+      waveformControls.appendChild(all.span);
+      waveformControls.appendChild(document.createElement("br"));
+    }
   
     // Start with all channels OFF…
     waveformVisible = new Array(n).fill(false);
@@ -631,17 +1406,18 @@ async function renderHypnogramFromSelection() {
   
     channels.forEach((ch, idx) => {
       const name = ch.name || `Ch ${idx + 1}`;
+      const kept = keep && keep.get(name);
   
-      // Only the first two channels visible initially
+      // Only the first two channels (and derived ones) visible initially
       const defaultVisible = idx < 2;
-      waveformVisible[idx] = defaultVisible;
-      spectrogramVisible[idx] = defaultVisible;
+      waveformVisible[idx] = kept ? kept.waveform : defaultVisible || !!ch.derivation;
+      spectrogramVisible[idx] = kept ? kept.spectrogram : defaultVisible;
   
       // --- Waveform checkbox ---
       const wLabel = document.createElement("label");
       const wCb = document.createElement("input");
       wCb.type = "checkbox";
-      wCb.checked = defaultVisible;
+      wCb.checked = waveformVisible[idx];
       wCb.addEventListener("change", async () => {  
 	  waveformVisible[idx] = wCb.checked;
   
@@ -655,27 +1431,27 @@ async function renderHypnogramFromSelection() {
 	});
       wLabel.appendChild(wCb);
       wLabel.appendChild(document.createTextNode(" " + name));
+      if (ch.derivation) wLabel.className = "derived-channel";
       waveformControls.appendChild(wLabel);
+      const filters = buildFilterSelects([ch.name], ch.fs, redrawFilteredWaveform);
+      filterSelects.push(filters.selects);
+      waveformControls.appendChild(filters.span);
+      if (isVoltage(ch.physDim)) waveformControls.appendChild(buildSensitivitySelect(ch.name));
       waveformControls.appendChild(document.createElement("br"));
   
       // --- Spectrogram checkbox ---
       const sLabel = document.createElement("label");
       const sCb = document.createElement("input");
       sCb.type = "checkbox";
-      sCb.checked = defaultVisible;
-      sCb.addEventListener("change", async () => {
+      sCb.checked = spectrogramVisible[idx];
+      sCb.addEventListener("change", () => {
         spectrogramVisible[idx] = sCb.checked;
-  
-	  setSectionLoading(spectrogramSection, true);  
-	  await nextPaint();  
-	  try {  
-		drawSpectrogram(spectrogramCtx, spectrogramCanvas, lastRecording, spectrogramVisible);  
-	  } finally {  
-		setSectionLoading(spectrogramSection, false);  
-	  }
+        refreshSpectrogram();
+        updateOverview();
       });
       sLabel.appendChild(sCb);
       sLabel.appendChild(document.createTextNode(" " + name));
+      if (ch.derivation) sLabel.className = "derived-channel";
       spectrogramChannelControls.appendChild(sLabel);
       spectrogramChannelControls.appendChild(document.createElement("br"));  
 	  
@@ -684,7 +1460,7 @@ async function renderHypnogramFromSelection() {
 	const hLabel = document.createElement("label");  
 	const hCb = document.createElement("input");  
 	hCb.type = "checkbox";  
-	const defaultHypno = idx === 0;  
+	const defaultHypno = kept ? kept.hypnogram : idx === 0;
 	hCb.checked = defaultHypno;  
 	hypnogramVisible[idx] = defaultHypno;
   
@@ -704,6 +1480,7 @@ async function renderHypnogramFromSelection() {
 	hLabel.appendChild(  
 	  document.createTextNode(` ${ch.name}${ch.physDim ? " (" + ch.physDim + ")" : ""}`)  
 	);  
+	if (ch.derivation) hLabel.className = "derived-channel";
 	hypnogramChannelControls.appendChild(hLabel);  
 	hypnogramChannelControls.appendChild(document.createElement("br"));
     });
@@ -735,6 +1512,7 @@ async function renderHypnogramFromSelection() {
     const span = Math.min(duration, maxViewSpanSec);
     const maxStart = Math.max(0, span - viewDurationSec);
     viewStartSec = Math.min(Math.max(viewStartSec, 0), maxStart);
+    snapViewToEpochs();
   
     updateTimeLabel();
     updatePanThumb();
@@ -764,6 +1542,126 @@ async function renderHypnogramFromSelection() {
     panToFraction(frac);
   });
 
+  // --- Wheel zoom and drag-pan on the canvases ---------------------------
+  // Both move the shared view through setViewWindow. The waveform follows
+  // live; the spectrogram is recomputed once the gesture ends.
+
+  const DRAG_THRESHOLD_PX = 4;
+  const gestureViews = [waveformCanvas, spectrogramCanvas];
+  const activePointers = new Map(); // pointerId -> clientX
+  let gesture = null;
+  let dragClick = false; // swallow the click that ends a drag
+
+  function consumeDragClick() {
+    const was = dragClick;
+    dragClick = false;
+    return was;
+  }
+
+  // Plot area of a view canvas in client px (the spectrogram has a gutter)
+  function plotRect(canvas) {
+    const rect = canvas.getBoundingClientRect();
+    const map = window.LucidifyTimeMapOf?.(canvas);
+    const scale = rect.width / Math.max(canvas.width, 1);
+    const left = rect.left + (map ? map.x0 * scale : 0);
+    const width = map ? map.drawW * scale : rect.width;
+    return { left, width: Math.max(width, 1) };
+  }
+
+  // Fraction of the plot width at clientX, clamped to 0..1
+  function plotFraction(canvas, clientX) {
+    const { left, width } = plotRect(canvas);
+    return Math.min(Math.max((clientX - left) / width, 0), 1);
+  }
+
+  // Scale the view duration by `factor`, keeping the time at `frac` of the
+  // view in place
+  function zoomAt(frac, factor) {
+    const anchor = viewStartSec + frac * viewDurationSec;
+    const dur = viewDurationSec * factor;
+    setViewWindow(anchor - frac * dur, dur);
+  }
+
+  function onWheel(canvas, ev) {
+    if (!lastRecording) return;
+    ev.preventDefault();
+    const unit = ev.deltaMode === 1 ? 16 : ev.deltaMode === 2 ? canvas.clientWidth : 1;
+    const dx = (ev.shiftKey && !ev.deltaX ? ev.deltaY : ev.deltaX) * unit;
+    const dy = ev.shiftKey ? 0 : ev.deltaY * unit;
+
+    if (Math.abs(dx) > Math.abs(dy)) {
+      setViewWindow(viewStartSec + (dx / plotRect(canvas).width) * viewDurationSec);
+    } else if (dy) {
+      // trackpad pinch arrives as ctrl+wheel with small deltas
+      zoomAt(plotFraction(canvas, ev.clientX), Math.exp(dy * (ev.ctrlKey ? 0.01 : 0.002)));
+    }
+  }
+
+  // One pointer drags the view, two (touch) pinch-zoom around their midpoint
+  function startGesture(canvas) {
+    const xs = [...activePointers.values()];
+    gesture = { canvas, startSec: viewStartSec, durSec: viewDurationSec, x: xs[0], moved: gesture?.moved };
+    if (xs.length >= 2) {
+      const mid = (xs[0] + xs[1]) / 2;
+      gesture.pinchDist = Math.max(Math.abs(xs[0] - xs[1]), 1);
+      gesture.pinchFrac = plotFraction(canvas, mid);
+      gesture.anchorSec = viewStartSec + gesture.pinchFrac * viewDurationSec;
+    }
+  }
+
+  function onPointerDown(canvas, ev) {
+    if (!lastRecording || (ev.pointerType === "mouse" && ev.button !== 0)) return;
+    if (gesture && gesture.canvas !== canvas) return;
+    dragClick = false;
+    activePointers.set(ev.pointerId, ev.clientX);
+    canvas.setPointerCapture?.(ev.pointerId);
+    startGesture(canvas);
+  }
+
+  function onPointerMove(canvas, ev) {
+    if (!gesture || gesture.canvas !== canvas || !activePointers.has(ev.pointerId)) return;
+    activePointers.set(ev.pointerId, ev.clientX);
+    const xs = [...activePointers.values()];
+
+    if (xs.length >= 2) {
+      const dist = Math.max(Math.abs(xs[0] - xs[1]), 1);
+      const dur = gesture.durSec * (gesture.pinchDist / dist);
+      const frac = plotFraction(canvas, (xs[0] + xs[1]) / 2);
+      gesture.moved = true;
+      setViewWindow(gesture.anchorSec - frac * dur, dur);
+      return;
+    }
+
+    const dx = xs[0] - gesture.x;
+    if (!gesture.moved && Math.abs(dx) < DRAG_THRESHOLD_PX) return;
+    if (!gesture.moved) canvas.classList.add("dragging");
+    gesture.moved = true;
+    setViewWindow(gesture.startSec - (dx / plotRect(canvas).width) * gesture.durSec);
+  }
+
+  function onPointerUp(canvas, ev) {
+    if (!activePointers.delete(ev.pointerId) || !gesture) return;
+    if (activePointers.size > 0) {
+      startGesture(canvas); // pinch -> one-finger drag from here
+      return;
+    }
+    canvas.classList.remove("dragging");
+    if (gesture.moved) {
+      // the click (if any) follows in this same task; drop the flag after
+      dragClick = true;
+      setTimeout(() => { dragClick = false; }, 0);
+    }
+    gesture = null;
+  }
+
+  for (const canvas of gestureViews) {
+    canvas.addEventListener("wheel", (ev) => onWheel(canvas, ev), { passive: false });
+    canvas.addEventListener("pointerdown", (ev) => onPointerDown(canvas, ev));
+    canvas.addEventListener("pointermove", (ev) => onPointerMove(canvas, ev));
+    canvas.addEventListener("pointerup", (ev) => onPointerUp(canvas, ev));
+    canvas.addEventListener("pointercancel", (ev) => onPointerUp(canvas, ev));
+  }
+
   // --- Click pan track to reposition ------------------------------------
 
   panTrack.addEventListener("mousedown", (event) => {
@@ -788,6 +1686,7 @@ async function renderHypnogramFromSelection() {
     const frac = thumbLeft / travel; // 0..1 over travel
   
     viewStartSec = frac * maxStart;
+    snapViewToEpochs();
   
     updateTimeLabel();
     updatePanThumb();
@@ -819,7 +1718,7 @@ async function renderHypnogramFromSelection() {
     const spanHz = document.createElement("span");
     spanHz.textContent = " Hz";
 
-    freqRangeLabel.appendChild(document.createTextNode("Freq: 0–"));
+    freqRangeLabel.appendChild(document.createTextNode(`Freq: ${spectrogramParams.minHz || 0}–`));
     freqRangeLabel.appendChild(input);
     freqRangeLabel.appendChild(spanHz);
 
@@ -850,24 +1749,9 @@ async function renderHypnogramFromSelection() {
       }
 
 		const shownMax = (spectrogramMaxHz == null) ? nyquist : spectrogramMaxHz;
-		freqRangeLabel.textContent = `Freq: 0–${shownMax.toFixed(1)} Hz`;
+		freqRangeLabel.textContent = `Freq: ${(spectrogramParams.minHz || 0).toFixed(1)}–${shownMax.toFixed(1)} Hz`;
 
-	  if (lastRecording) {
-	    (async () => {
-		  setSectionLoading(spectrogramSection, true);
-		  await nextPaint(); // lets overlay render before heavy work
-		  try {
-		    drawSpectrogram(
-		  	spectrogramCtx,
-		  	spectrogramCanvas,
-		  	lastRecording,
-		  	spectrogramVisible
-		    );
-		  } finally {
-		    setSectionLoading(spectrogramSection, false);
-		  }
-	    })();
-	  }  
+	  refreshSpectrogram();
     }
 
     input.addEventListener("keydown", (ev) => {
@@ -883,6 +1767,1048 @@ async function renderHypnogramFromSelection() {
     });
   });
 
+  // --- Spectrogram settings ---------------------------------------------
+
+  const specWindowInput = document.getElementById("spec-window-sec");
+  const specOverlapSelect = document.getElementById("spec-overlap");
+  const specTaperSelect = document.getElementById("spec-taper");
+  const specNwInput = document.getElementById("spec-nw");
+  const specScaleSelect = document.getElementById("spec-scale");
+  const specMinHzInput = document.getElementById("spec-min-hz");
+  const specColormapSelect = document.getElementById("spec-colormap");
+  const specLockCheckbox = document.getElementById("spec-lock-limits");
+  const specLimitsLabel = document.getElementById("spec-limits");
+
+  function showSpectrogramLimits() {
+    if (!specLimitsLabel) return;
+    const lim = spectrogramLimits;
+    if (!lim) {
+      specLimitsLabel.textContent = "";
+      return;
+    }
+    specLimitsLabel.textContent = spectrogramParams.scale === "linear"
+      ? `Colours: ${lim[0].toPrecision(3)}–${lim[1].toPrecision(3)} /Hz`
+      : `Colours: ${lim[0].toFixed(1)}–${lim[1].toFixed(1)} dB`;
+  }
+
+  function syncSpectrogramInputs() {
+    if (specWindowInput) specWindowInput.value = String(spectrogramParams.windowSec);
+    if (specOverlapSelect) specOverlapSelect.value = String(spectrogramParams.overlap);
+    if (specTaperSelect) specTaperSelect.value = spectrogramParams.taper;
+    if (specNwInput) {
+      specNwInput.value = String(spectrogramParams.nw);
+      specNwInput.disabled = spectrogramParams.taper !== "multitaper";
+    }
+    if (specScaleSelect) specScaleSelect.value = spectrogramParams.scale;
+    if (specMinHzInput) specMinHzInput.value = String(spectrogramParams.minHz);
+    if (specColormapSelect) specColormapSelect.value = spectrogramParams.colormap;
+    if (specLockCheckbox) specLockCheckbox.checked = spectrogramParams.lockLimits;
+  }
+
+  // Read the inputs back, keeping the current value for anything invalid
+  function readSpectrogramInputs() {
+    const p = spectrogramParams;
+    const num = (el, lo, hi, fallback) => {
+      const v = Number(el?.value);
+      return Number.isFinite(v) && v >= lo && v <= hi ? v : fallback;
+    };
+    const scale = specScaleSelect?.value || p.scale;
+    if (scale !== p.scale) {
+      // limits in the other scale mean nothing here
+      p.lockLimits = false;
+      spectrogramLimits = null;
+    }
+    p.windowSec = num(specWindowInput, 0.25, 30, p.windowSec);
+    p.overlap = num(specOverlapSelect, 0, 0.95, p.overlap);
+    p.taper = specTaperSelect?.value || p.taper;
+    p.nw = num(specNwInput, 1, 10, p.nw);
+    p.scale = scale;
+    p.minHz = num(specMinHzInput, 0, 1e4, p.minHz);
+    p.colormap = specColormapSelect?.value || p.colormap;
+    syncSpectrogramInputs();
+  }
+
+  for (const el of [specWindowInput, specOverlapSelect, specTaperSelect, specNwInput,
+                    specScaleSelect, specMinHzInput, specColormapSelect]) {
+    el?.addEventListener("change", () => {
+      readSpectrogramInputs();
+      refreshSpectrogram();
+    });
+  }
+
+  // Locking keeps the limits just drawn; unlocking goes back to auto
+  specLockCheckbox?.addEventListener("change", () => {
+    spectrogramParams.lockLimits = specLockCheckbox.checked && !!spectrogramLimits;
+    specLockCheckbox.checked = spectrogramParams.lockLimits;
+    if (!spectrogramParams.lockLimits) refreshSpectrogram();
+  });
+
+  syncSpectrogramInputs();
+
+  // --- Clock time axis and "go to" -------------------------------------
+
+  function secondsAfterMidnight(date) {
+    return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+  }
+
+  /**
+   * Parse a "go to" entry: "HH:MM[:SS]" is a clock time (needs the EDF start
+   * time; times before the start are taken as after midnight), a plain
+   * number is seconds from the file start. Returns seconds or null.
+   */
+  function parseGotoTime(text) {
+    const txt = String(text || "").trim();
+    const m = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/.exec(txt);
+    if (m) {
+      if (clockOriginSec == null) return null;
+      const clock = Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] || 0);
+      if (clock >= 86400) return null;
+      return (clock - clockOriginSec + 86400) % 86400;
+    }
+    const n = Number(txt);
+    return txt && Number.isFinite(n) ? n : null;
+  }
+
+  function gotoTime() {
+    if (!lastRecording || !gotoTimeInput) return;
+    const t = parseGotoTime(gotoTimeInput.value);
+    if (t == null || t > lastRecording.durationSec) {
+      gotoTimeInput.classList.add("invalid");
+      return;
+    }
+    gotoTimeInput.classList.remove("invalid");
+    setViewWindow(t);
+  }
+
+  gotoTimeButton?.addEventListener("click", gotoTime);
+  gotoTimeInput?.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") gotoTime();
+  });
+
+  epochPagingCheckbox?.addEventListener("change", () => {
+    epochPaging = epochPagingCheckbox.checked;
+    if (lastRecording) setViewWindow(viewStartSec, viewDurationSec);
+  });
+
+  clockTimeCheckbox?.addEventListener("change", async () => {
+    useClockTime = clockTimeCheckbox.checked;
+    if (!lastRecording) return;
+
+    updateTimeLabel();
+    drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+    drawHypnogram();
+
+    refreshSpectrogram();
+  });
+
+  // --- Keyboard navigation ----------------------------------------------
+
+  const navStatus = document.getElementById("nav-status");
+  const shortcutHelp = document.getElementById("shortcut-help");
+  // Shift + key: next epoch with this stage
+  const STAGE_KEYS = { KeyW: "W", Digit1: "N1", Digit2: "N2", Digit3: "N3", KeyR: "REM" };
+
+  function setNavStatus(text) {
+    if (navStatus) navStatus.textContent = text;
+  }
+
+  // Stage of epoch e: manual score first, then the staged hypnogram, then
+  // the reference, else null
+  function stageOfEpoch(e) {
+    if (userScores.stages[e] != null) return userScores.stages[e];
+    if (lastHypnogram) {
+      const k = e - Math.round(lastHypnogram.startSec / lastHypnogram.epochSec);
+      if (k >= 0 && k < lastHypnogram.stages.length) return lastHypnogram.stages[k];
+    }
+    return referenceHypno?.stages?.[e] ?? null;
+  }
+
+  function currentEpoch() {
+    return Math.floor(viewStartSec / EPOCH_SEC + 1e-6);
+  }
+
+  function jumpToStage(stage) {
+    const nEpochs = Math.ceil(lastRecording.durationSec / EPOCH_SEC);
+    for (let e = currentEpoch() + 1; e < nEpochs; e++) {
+      if (stageOfEpoch(e) === stage) {
+        setViewWindow(e * EPOCH_SEC);
+        setNavStatus(`Epoch ${e + 1}: ${stage}`);
+        return;
+      }
+    }
+    setNavStatus(`No later epoch staged ${stage}.`);
+  }
+
+  function jumpToLowConfidence() {
+    if (!lastHypnogram?.probs) {
+      setNavStatus("No stage probabilities to review.");
+      return;
+    }
+    const offset = Math.round(lastHypnogram.startSec / lastHypnogram.epochSec);
+    for (let k = currentEpoch() + 1 - offset; k < lastHypnogram.stages.length; k++) {
+      if (k >= 0 && isLowConfidence(k)) {
+        setViewWindow((k + offset) * EPOCH_SEC);
+        setNavStatus(`Epoch ${k + offset + 1}: ${lastHypnogram.stages[k]}, ` +
+                     `confidence ${Math.round(epochConfidence(k) * 100)} %`);
+        return;
+      }
+    }
+    setNavStatus("No later low-confidence epoch.");
+  }
+
+  // dir = +1: first annotation after the view start, -1: last one before it
+  function jumpToAnnotation(dir) {
+    let best = null;
+    for (const a of lastRecording.annotations || []) {
+      if (!Number.isFinite(a.onset)) continue;
+      const ahead = dir > 0 ? a.onset > viewStartSec + 1e-3 : a.onset < viewStartSec - 1e-3;
+      if (ahead && (!best || (dir > 0) === (a.onset < best.onset))) best = a;
+    }
+    if (!best) {
+      setNavStatus(dir > 0 ? "No later annotation." : "No earlier annotation.");
+      return;
+    }
+    setViewWindow(best.onset);
+    setNavStatus(`${formatTime(best.onset)}: ${best.text}`);
+  }
+
+  // Zoom by `factor` around the view centre
+  function zoomBy(factor) {
+    const center = viewStartSec + viewDurationSec / 2;
+    const dur = viewDurationSec * factor;
+    setViewWindow(center - dur / 2, dur);
+  }
+
+  function toggleShortcutHelp(show = shortcutHelp?.classList.contains("hidden")) {
+    shortcutHelp?.classList.toggle("hidden", !show);
+  }
+
+  document.getElementById("shortcut-help-button")?.addEventListener("click", () => toggleShortcutHelp());
+  document.getElementById("shortcut-help-close")?.addEventListener("click", () => toggleShortcutHelp(false));
+
+  document.addEventListener("keydown", (ev) => {
+    if (isTypingTarget(ev.target) || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+
+    if (ev.key === "?") {
+      toggleShortcutHelp();
+    } else if (ev.key === "Escape" && !shortcutHelp?.classList.contains("hidden")) {
+      toggleShortcutHelp(false);
+    } else if (!lastRecording) {
+      return;
+    } else if (ev.shiftKey && STAGE_KEYS[ev.code]) {
+      jumpToStage(STAGE_KEYS[ev.code]);
+    } else if (ev.key === "ArrowRight") {
+      setViewWindow((currentEpoch() + 1) * EPOCH_SEC);
+    } else if (ev.key === "ArrowLeft") {
+      setViewWindow((Math.ceil(viewStartSec / EPOCH_SEC - 1e-6) - 1) * EPOCH_SEC);
+    } else if (ev.key === "PageDown") {
+      setViewWindow(viewStartSec + viewDurationSec);
+    } else if (ev.key === "PageUp") {
+      setViewWindow(viewStartSec - viewDurationSec);
+    } else if (ev.key === "Home") {
+      setViewWindow(0);
+    } else if (ev.key === "End") {
+      setViewWindow(lastRecording.durationSec);
+    } else if (ev.key === "+" || ev.key === "=") {
+      zoomBy(0.5);
+    } else if (ev.key === "-" || ev.key === "_") {
+      zoomBy(2);
+    } else if (ev.key === "]") {
+      jumpToAnnotation(1);
+    } else if (ev.key === "[") {
+      jumpToAnnotation(-1);
+    } else if (ev.key === "u" || ev.key === "U") {
+      jumpToLowConfidence();
+    } else {
+      return;
+    }
+    ev.preventDefault();
+  });
+
+  // --- Manual scoring ---------------------------------------------------
+  // In scoring mode the waveform shows one 30 s epoch; 0-5 score it (W,
+  // N1, N2, N3, REM, Artifact) and move on, Enter takes the model's
+  // suggestion. Scores are kept in userScores and drawn as their own row.
+
+  const scoringCheckbox = document.getElementById("scoring-mode-checkbox");
+  const scoringUndoBtn = document.getElementById("scoring-undo");
+  const scoringRedoBtn = document.getElementById("scoring-redo");
+  const scoringStatus = document.getElementById("scoring-status");
+  const SCORE_KEYS = { 0: "W", 1: "N1", 2: "N2", 3: "N3", 4: "REM", 5: "ART" };
+  const MODEL_LABELS = ["W", "N1", "N2", "N3", "REM"]; // order of the model probabilities
+
+  // Model stage of epoch e with its probability (0..1 or null), or null
+  function suggestionFor(e) {
+    if (!lastHypnogram) return null;
+    const k = e - Math.round(lastHypnogram.startSec / lastHypnogram.epochSec);
+    const stage = lastHypnogram.stages[k];
+    if (stage == null) return null;
+    const p = lastHypnogram.probs?.[k]?.[MODEL_LABELS.indexOf(stage)];
+    return { stage, prob: Number.isFinite(p) ? p : null };
+  }
+
+  function updateScoringStatus() {
+    if (scoringUndoBtn) scoringUndoBtn.disabled = userScores.undo.length === 0;
+    if (scoringRedoBtn) scoringRedoBtn.disabled = userScores.redo.length === 0;
+    if (!scoringStatus) return;
+    const e = currentEpoch();
+    if (!scoringMode || !lastRecording || e >= userScores.stages.length) {
+      scoringStatus.textContent = "";
+      return;
+    }
+    const hint = suggestionFor(e);
+    const hintText = hint
+      ? `${hint.stage}${hint.prob != null ? ` (${Math.round(hint.prob * 100)} %)` : ""}`
+      : "none";
+    scoringStatus.textContent =
+      `Epoch ${e + 1}: suggestion ${hintText}, scored ${userScores.stages[e] ?? "—"}`;
+  }
+
+  function setScore(e, stage) {
+    const before = userScores.stages[e] ?? null;
+    if (before === stage) return;
+    userScores.stages[e] = stage;
+    userScores.undo.push({ epoch: e, before, after: stage });
+    userScores.redo = [];
+  }
+
+  // Score the epoch in view; a stage moves on to the next epoch
+  function scoreCurrentEpoch(stage) {
+    const e = currentEpoch();
+    if (e >= userScores.stages.length) return;
+    setScore(e, stage);
+    if (stage != null && e + 1 < userScores.stages.length) setViewWindow((e + 1) * EPOCH_SEC);
+    drawHypnogram();
+    updateSleepStats();
+  }
+
+  // Undo (from = undo, to = redo) or redo the last edit, showing its epoch
+  function replayScore(from, to, undo) {
+    const edit = from.pop();
+    if (!edit) return;
+    userScores.stages[edit.epoch] = undo ? edit.before : edit.after;
+    to.push(edit);
+    setViewWindow(edit.epoch * EPOCH_SEC);
+    drawHypnogram();
+    updateSleepStats();
+  }
+
+  const undoScore = () => replayScore(userScores.undo, userScores.redo, true);
+  const redoScore = () => replayScore(userScores.redo, userScores.undo, false);
+
+  function setScoringMode(on) {
+    scoringMode = on;
+    if (scoringCheckbox) scoringCheckbox.checked = on;
+    if (on && lastRecording) setViewWindow(currentEpoch() * EPOCH_SEC, EPOCH_SEC);
+    drawHypnogram();
+  }
+
+  scoringCheckbox?.addEventListener("change", () => setScoringMode(scoringCheckbox.checked));
+  scoringUndoBtn?.addEventListener("click", undoScore);
+  scoringRedoBtn?.addEventListener("click", redoScore);
+
+  document.addEventListener("keydown", (ev) => {
+    if (!scoringMode || !lastRecording || isTypingTarget(ev.target) || ev.altKey) return;
+    const key = ev.key.toLowerCase();
+    if (ev.ctrlKey || ev.metaKey) {
+      if (key === "z" && !ev.shiftKey) undoScore();
+      else if (key === "y" || (key === "z" && ev.shiftKey)) redoScore();
+      else return;
+    } else if (ev.shiftKey) {
+      return;
+    } else if (SCORE_KEYS[ev.key]) {
+      scoreCurrentEpoch(SCORE_KEYS[ev.key]);
+    } else if (ev.key === "Enter") {
+      const hint = suggestionFor(currentEpoch());
+      if (hint) scoreCurrentEpoch(hint.stage);
+    } else if (ev.key === "Delete" || ev.key === "Backspace") {
+      scoreCurrentEpoch(null);
+    } else {
+      return;
+    }
+    ev.preventDefault();
+  });
+
+  // --- Hypnogram export -------------------------------------------------
+  // The model hypnogram (with probabilities) and the manual scores as
+  // files: per-epoch CSV, BIDS _events.tsv, Sleep-EDF style EDF+
+  // (hypnogram_export.js).
+
+  const hypnogramExportSelect = document.getElementById("hypnogram-export");
+
+  function hypnogramForExport() {
+    const scored = userScores.stages.some((stage) => stage != null);
+    if (!lastHypnogram && !scored) return null;
+    const start = lastRecording?.header?.startDateTime;
+    return {
+      epochSec: EPOCH_SEC,
+      stages: lastHypnogram?.stages || [],
+      probs: lastHypnogram?.probs,
+      labels: MODEL_LABELS,
+      scores: scored ? userScores.stages : null,
+      startDateTime: start instanceof Date ? start : null,
+    };
+  }
+
+  hypnogramExportSelect?.addEventListener("change", () => {
+    const format = hypnogramExportSelect.value;
+    hypnogramExportSelect.value = "";
+    const hypno = lastRecording && hypnogramForExport();
+    if (!format || !hypno) {
+      if (format) alert("No hypnogram to export yet.");
+      return;
+    }
+    const baseName = lastFileName ? lastFileName.replace(/\.[^.]+$/, "") : "recording";
+    if (format === "csv") {
+      downloadFile(window.LucidifyHypnogramToCsv(hypno), "text/csv", `${baseName}_hypnogram.csv`);
+    } else if (format === "tsv") {
+      downloadFile(window.LucidifyHypnogramToEventsTsv(hypno), "text/tab-separated-values",
+                   `${baseName}_events.tsv`);
+    } else if (format === "edf" || format === "edf-manual") {
+      if (format === "edf-manual" && !hypno.scores) {
+        alert("No manual scores to export yet.");
+        return;
+      }
+      const buffer = window.LucidifyHypnogramToEdf(hypno, {
+        patientId: lastRecording.header?.patientId,
+        manualOnly: format === "edf-manual",
+      });
+      downloadFile(buffer, "application/octet-stream", `${baseName}-Hypnogram.edf`);
+    }
+  });
+
+  // --- Sleep statistics -------------------------------------------------
+  // AASM sleep architecture metrics (sleep_stats.js) for the model
+  // hypnogram, the manual scores and the reference, side by side. The
+  // table is only rebuilt while its panel is open.
+
+  const sleepStatsPanel = document.getElementById("sleep-stats-panel");
+  const sleepStatsTable = document.getElementById("sleep-stats-table");
+
+  // [{ name, stats }] for each hypnogram there is
+  function sleepStatsColumns() {
+    const columns = [];
+    if (lastHypnogram) {
+      columns.push({ name: "Model", stats: window.LucidifySleepStatistics(lastHypnogram.stages, EPOCH_SEC) });
+    }
+    if (userScores.stages.some((stage) => stage != null)) {
+      columns.push({ name: "Scored", stats: window.LucidifySleepStatistics(userScores.stages, EPOCH_SEC) });
+    }
+    if (referenceHypno?.stages?.length) {
+      columns.push({
+        name: referenceHypno.sourceName ? `Reference (${referenceHypno.sourceName})` : "Reference",
+        stats: window.LucidifySleepStatistics(referenceHypno.stages, referenceHypno.epochSec || EPOCH_SEC),
+      });
+    }
+    return columns;
+  }
+
+  function formatStat(v) {
+    if (v == null) return "—";
+    return Number.isInteger(v) ? String(v) : v.toFixed(1);
+  }
+
+  function updateSleepStats() {
+    if (!sleepStatsPanel?.open || !sleepStatsTable) return;
+    sleepStatsTable.innerHTML = "";
+    const columns = sleepStatsColumns();
+    if (!columns.length) {
+      sleepStatsTable.textContent = "No hypnogram yet.";
+      return;
+    }
+    const head = sleepStatsTable.createTHead().insertRow();
+    for (const name of ["", ...columns.map((c) => c.name)]) {
+      const th = document.createElement("th");
+      th.textContent = name;
+      head.appendChild(th);
+    }
+    const body = sleepStatsTable.createTBody();
+    for (const row of window.LucidifySleepStatisticsRows(columns.map((c) => c.stats))) {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = row.label;
+      for (const v of row.values) tr.insertCell().textContent = formatStat(v);
+    }
+  }
+
+  function exportSleepStats(format) {
+    const columns = lastRecording ? sleepStatsColumns() : [];
+    if (!columns.length) {
+      alert("No hypnogram to summarise yet.");
+      return;
+    }
+    const baseName = lastFileName ? lastFileName.replace(/\.[^.]+$/, "") : "recording";
+    if (format === "json") {
+      const out = Object.fromEntries(columns.map((c) => [c.name, c.stats]));
+      downloadFile(JSON.stringify(out, null, 2), "application/json", `${baseName}_sleep_stats.json`);
+      return;
+    }
+    const quote = (s) => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+    const lines = [["metric", ...columns.map((c) => quote(c.name))].join(",")];
+    for (const row of window.LucidifySleepStatisticsRows(columns.map((c) => c.stats))) {
+      lines.push([row.key, ...row.values.map((v) => v ?? "")].join(","));
+    }
+    downloadFile(lines.join("\n") + "\n", "text/csv", `${baseName}_sleep_stats.csv`);
+  }
+
+  sleepStatsPanel?.addEventListener("toggle", updateSleepStats);
+  document.getElementById("sleep-stats-csv")?.addEventListener("click", () => exportSleepStats("csv"));
+  document.getElementById("sleep-stats-json")?.addEventListener("click", () => exportSleepStats("json"));
+
+  // --- Shared time cursor -----------------------------------------------
+  // A vertical line at the pointer's time on every view that shows that
+  // time, with a readout of time, epoch and stage. Clicking the hypnogram
+  // or spectrogram moves the waveform window there.
+
+  const cursorReadout = document.getElementById("cursor-readout");
+  const cursorViews = [waveformCanvas, overviewCanvas, spectrogramCanvas, hypnogramCanvas].filter(Boolean);
+
+  // Each view canvas is followed by its cursor line
+  function cursorLineOf(canvas) {
+    const el = canvas.nextElementSibling;
+    return el?.classList.contains("time-cursor") ? el : null;
+  }
+
+  // Time span and x range (canvas px) a view canvas currently shows
+  function timeMapFor(canvas) {
+    if (canvas !== hypnogramCanvas) return window.LucidifyTimeMapOf?.(canvas) || null;
+    // the hypnogram plots epoch starts from the first to the last epoch
+    const span = hypnogramSpan();
+    const n = span?.stages.length || 0;
+    if (n < 2) return null;
+    return {
+      startSec: span.startSec,
+      windowSec: (n - 1) * span.epochSec,
+      x0: HYPNO_LEFT_MARGIN,
+      drawW: hypnogramCanvas.width - HYPNO_LEFT_MARGIN - HYPNO_PADDING,
+    };
+  }
+
+  // Time under the pointer on `canvas`, or null outside its plot area
+  function timeAtPointer(canvas, ev) {
+    const map = timeMapFor(canvas);
+    if (!map || map.drawW <= 0) return null;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((ev.clientX - rect.left) * canvas.width) / Math.max(rect.width, 1);
+    if (x < map.x0 || x > map.x0 + map.drawW) return null;
+    return map.startSec + ((x - map.x0) / map.drawW) * map.windowSec;
+  }
+
+  function hideTimeCursor() {
+    for (const canvas of cursorViews) {
+      cursorLineOf(canvas)?.classList.add("hidden");
+    }
+    cursorReadout?.classList.add("hidden");
+  }
+
+  function showTimeCursor(tSec, ev) {
+    for (const canvas of cursorViews) {
+      const line = cursorLineOf(canvas);
+      if (!line) continue;
+      const map = timeMapFor(canvas);
+      const inView = map && map.windowSec > 0 &&
+        tSec >= map.startSec && tSec <= map.startSec + map.windowSec;
+      line.classList.toggle("hidden", !inView);
+      if (!inView) continue;
+
+      const cssPerPx = canvas.offsetWidth / Math.max(canvas.width, 1);
+      const x = map.x0 + ((tSec - map.startSec) / map.windowSec) * map.drawW;
+      line.style.left = `${canvas.offsetLeft + x * cssPerPx}px`;
+      line.style.top = `${canvas.offsetTop}px`;
+      line.style.height = `${canvas.offsetHeight}px`;
+    }
+
+    if (!cursorReadout) return;
+    const epoch = Math.floor(tSec / EPOCH_SEC);
+    const stage = stageOfEpoch(epoch);
+    const conf = lastHypnogram
+      ? epochConfidence(epoch - Math.round(lastHypnogram.startSec / lastHypnogram.epochSec))
+      : null;
+    cursorReadout.textContent =
+      `${formatTime(tSec, 0.1)} · epoch ${epoch + 1}` +
+      (stage && stage !== "UNK" ? ` · ${stage}` : "") +
+      (conf != null ? ` · confidence ${Math.round(conf * 100)} %` : "");
+    cursorReadout.style.left = `${ev.clientX + 12}px`;
+    cursorReadout.style.top = `${ev.clientY + 12}px`;
+    cursorReadout.classList.remove("hidden");
+  }
+
+  for (const canvas of cursorViews) {
+    canvas.addEventListener("mousemove", (ev) => {
+      const t = lastRecording ? timeAtPointer(canvas, ev) : null;
+      if (t == null) hideTimeCursor();
+      else showTimeCursor(t, ev);
+    });
+    canvas.addEventListener("mouseleave", hideTimeCursor);
+  }
+
+  // Hypnogram: show the clicked epoch from its start
+  hypnogramCanvas?.addEventListener("click", (ev) => {
+    if (consumeDragClick()) return;
+    const t = lastRecording ? timeAtPointer(hypnogramCanvas, ev) : null;
+    if (t == null) return;
+    setViewWindow(Math.floor(t / EPOCH_SEC) * EPOCH_SEC);
+    showTimeCursor(t, ev);
+  });
+
+  // Spectrogram: centre the waveform on the clicked column
+  spectrogramCanvas.addEventListener("click", (ev) => {
+    if (consumeDragClick()) return;
+    const t = lastRecording ? timeAtPointer(spectrogramCanvas, ev) : null;
+    if (t == null) return;
+    setViewWindow(t - viewDurationSec / 2);
+    showTimeCursor(t, ev);
+  });
+
+  // --- Overview spectrogram ---------------------------------------------
+  // Multitaper spectrogram of the whole recording for the first channel
+  // ticked for the spectrogram, computed once per channel in the background
+  // (multitaper.js). Its view rectangle can be dragged to navigate.
+
+  let overviewCache = new Map(); // channel name -> OverviewSpectrogram (lastRecording)
+  let overviewJob = null;        // { recording, name, overview } being computed
+  let overviewDrag = null;       // pointer time minus view start while dragging
+
+  function drawOverview() {
+    if (!overviewCtx || !lastRecording) return;
+    const idx = spectrogramVisible.findIndex(Boolean);
+    const name = idx >= 0 ? lastRecording.channels[idx]?.name : null;
+    const overview = overviewCache.get(name) ||
+      (overviewJob && overviewJob.name === name ? overviewJob.overview : null);
+
+    let message = "";
+    if (idx < 0) {
+      message = "Tick a spectrogram channel for the whole-recording overview.";
+    } else if (overviewJob && overviewJob.name === name) {
+      const pct = overview ? Math.round((100 * overview.done) / Math.max(1, overview.columns.length)) : 0;
+      message = `Computing overview… ${pct}%`;
+    } else if (!overview) {
+      message = "Overview not computed yet.";
+    }
+    window.LucidifyDrawOverviewSpectrogram(overviewCtx, overviewCanvas, lastRecording, overview, message);
+  }
+
+  // Compute the overview of the current spectrogram channel unless it is
+  // cached or already on its way
+  async function updateOverview() {
+    if (!overviewCtx || !lastRecording || !window.LucidifyComputeOverviewSpectrogram) return;
+    const recording = lastRecording;
+    const idx = spectrogramVisible.findIndex(Boolean);
+    const name = idx >= 0 ? recording.channels[idx].name : null;
+    if (idx < 0 || overviewCache.has(name) ||
+        (overviewJob && overviewJob.recording === recording && overviewJob.name === name)) {
+      drawOverview();
+      return;
+    }
+
+    const job = { recording, name, overview: null };
+    overviewJob = job;
+    drawOverview();
+    try {
+      const overview = await window.LucidifyComputeOverviewSpectrogram(recording, idx, {
+        isCancelled: () => overviewJob !== job,
+        onProgress: (partial) => {
+          job.overview = partial;
+          drawOverview();
+        },
+      });
+      if (!overview || overviewJob !== job) return;
+      overviewCache.set(name, overview);
+      overviewJob = null;
+    } catch (err) {
+      console.error("Overview spectrogram failed:", err);
+      if (overviewJob === job) overviewJob = null;
+    }
+    drawOverview();
+  }
+
+  // Drop overviews of derived channels (their definition may have changed)
+  function resetDerivedOverviews() {
+    const raw = new Set(rawChannels(lastRecording).map((ch) => ch.name));
+    for (const name of [...overviewCache.keys()]) {
+      if (!raw.has(name)) overviewCache.delete(name);
+    }
+    overviewJob = null;
+  }
+
+  function overviewTimeAt(ev) {
+    const map = window.LucidifyTimeMapOf(overviewCanvas);
+    if (!map) return null;
+    const rect = overviewCanvas.getBoundingClientRect();
+    const x = ((ev.clientX - rect.left) * overviewCanvas.width) / Math.max(rect.width, 1);
+    return map.startSec + Math.min(Math.max((x - map.x0) / map.drawW, 0), 1) * map.windowSec;
+  }
+
+  // Press inside the rectangle to drag it; elsewhere to centre the view there
+  overviewCanvas?.addEventListener("pointerdown", (ev) => {
+    if (!lastRecording || (ev.pointerType === "mouse" && ev.button !== 0)) return;
+    const t = overviewTimeAt(ev);
+    if (t == null) return;
+    const inside = t >= viewStartSec && t <= viewStartSec + viewDurationSec;
+    overviewDrag = inside ? t - viewStartSec : viewDurationSec / 2;
+    if (!inside) setViewWindow(t - overviewDrag);
+    overviewCanvas.setPointerCapture?.(ev.pointerId);
+  });
+
+  overviewCanvas?.addEventListener("pointermove", (ev) => {
+    if (overviewDrag == null) return;
+    const t = overviewTimeAt(ev);
+    if (t != null) setViewWindow(t - overviewDrag);
+  });
+
+  const endOverviewDrag = () => {
+    if (overviewDrag == null) return;
+    overviewDrag = null;
+  };
+  overviewCanvas?.addEventListener("pointerup", endOverviewDrag);
+  overviewCanvas?.addEventListener("pointercancel", endOverviewDrag);
+
+  // --- Recording info panel ---------------------------------------------
+
+  function appendInfoTable(parent, headings, rows) {
+    const table = document.createElement("table");
+    const headRow = document.createElement("tr");
+    for (const h of headings) {
+      const th = document.createElement("th");
+      th.textContent = h;
+      headRow.appendChild(th);
+    }
+    table.appendChild(headRow);
+    for (const row of rows) {
+      const tr = document.createElement("tr");
+      for (const cell of row) {
+        const td = document.createElement("td");
+        td.textContent = cell == null ? "" : String(cell);
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    parent.appendChild(table);
+  }
+
+  /**
+   * Fill the collapsible "Recording info" panel from recording.header and
+   * the per-channel header fields. Header text is inserted as text only.
+   * @param {Recording} recording
+   */
+  function renderRecordingInfo(recording) {
+    if (!recordingInfo || !recordingInfoBody) return;
+    recordingInfoBody.innerHTML = "";
+
+    const h = recording && recording.header;
+    if (!h) {
+      recordingInfo.classList.add("hidden");
+      return;
+    }
+    recordingInfo.classList.remove("hidden");
+
+    appendInfoTable(recordingInfoBody, ["Field", "Value"], [
+      ["Format", h.format],
+      ["Version", h.version],
+      ["Patient ID", h.patientId],
+      ["Recording ID", h.recordingId],
+      ["Start date", h.startDate],
+      ["Start time", h.startTime],
+      ["Reserved", h.reserved],
+      ["Header bytes", h.headerBytes],
+      ["Data records", h.nDataRecords],
+      ["Record duration (s)", h.recordDurationSec],
+      ["Signals", h.nSignals],
+      ["Duration (s)", recording.durationSec.toFixed(1)],
+      ["Annotations", (recording.annotations || []).length],
+    ]);
+
+    appendInfoTable(
+      recordingInfoBody,
+      ["Label", "Fs (Hz)", "Unit", "Transducer", "Prefilter",
+       "Phys min", "Phys max", "Dig min", "Dig max"],
+      recording.channels.map((ch) => [
+        ch.name, Number(ch.fs).toFixed(2), ch.physDim, ch.transducer,
+        ch.prefilter, ch.physMin, ch.physMax, ch.digMin, ch.digMax,
+      ])
+    );
+  }
+
+  // --- Header issues / repairs ------------------------------------------
+
+  /**
+   * List header spec violations (from LucidifyValidateEdfHeader) under the
+   * file info. The repair button is offered when the whole file is in
+   * memory and at least one issue has a safe repair.
+   * @param {Array<Object>} issues
+   */
+  function renderHeaderIssues(issues) {
+    if (!headerIssuesBox || !headerIssuesList) return;
+    headerIssuesList.innerHTML = "";
+    if (!issues || issues.length === 0) {
+      headerIssuesBox.classList.add("hidden");
+      return;
+    }
+    headerIssuesBox.classList.remove("hidden");
+
+    for (const issue of issues) {
+      const li = document.createElement("li");
+      li.className = issue.severity;
+      li.textContent = `${issue.severity === "error" ? "Error" : "Warning"}: ${issue.message}` +
+        (issue.repair ? ` Repair: ${issue.repair}` : "");
+      headerIssuesList.appendChild(li);
+    }
+
+    const canRepair = !!lastFile && issues.some((i) => i.repair);
+    headerRepairButton?.classList.toggle("hidden", !canRepair);
+  }
+
+  headerRepairButton?.addEventListener("click", () => {
+    if (lastFile) loadEdfFile(lastFile, { repair: true });
+  });
+
+  // --- Montage editor ---------------------------------------------------
+  // Derived channels (bipolar pairs, re-references, any linear combination)
+  // are built by montage.js and appended after the raw channels.
+
+  function describeTerms(terms) {
+    return terms.map((t, i) => {
+      const sign = t.weight < 0 ? " − " : i ? " + " : "";
+      const w = Math.abs(t.weight);
+      return `${sign}${w === 1 ? "" : +w.toFixed(4) + "·"}${t.channel}`;
+    }).join("");
+  }
+
+  function rawChannels(recording) {
+    return (recording?.channels || []).filter((ch) => !ch.derivation);
+  }
+
+  // Re-derive the montage channels of `recording` and refresh the list
+  function applyMontage(recording) {
+    montageErrors = window.LucidifyApplyMontage(recording, montage).errors;
+    renderMontageList();
+  }
+
+  function renderMontageList() {
+    if (!montageList) return;
+    montageList.innerHTML = "";
+    montage.derivations.forEach((d, i) => {
+      const li = document.createElement("li");
+      const err = montageErrors.find((e) => e.label === d.label);
+      li.textContent = `${d.label} = ${describeTerms(d.terms)}`;
+      if (err) {
+        li.className = "error";
+        li.textContent += ` (not shown: ${err.message})`;
+      }
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => {
+        montage.derivations.splice(i, 1);
+        montageChanged();
+      });
+      li.appendChild(remove);
+      montageList.appendChild(li);
+    });
+  }
+
+  // Raw channel choices for the editor, from the loaded recording
+  function fillMontageChannelSelects(recording) {
+    const names = rawChannels(recording).map((ch) => ch.name);
+    montageChannelSelects.forEach((sel, k) => {
+      if (!sel) return;
+      sel.innerHTML = "";
+      for (const name of names) sel.add(new Option(name, name));
+      sel.selectedIndex = Math.min(k, names.length - 1);
+    });
+
+    if (!montageWeights) return;
+    montageWeights.innerHTML = "";
+    for (const name of names) {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "any";
+      input.value = "0";
+      input.dataset.channel = name;
+      label.appendChild(document.createTextNode(name + " "));
+      label.appendChild(input);
+      montageWeights.appendChild(label);
+    }
+  }
+
+  function updateMontageInputs() {
+    const type = montageTypeSelect?.value || "bipolar";
+    const [a, b, c] = montageChannelSelects;
+    a?.classList.toggle("hidden", type === "custom");
+    b?.classList.toggle("hidden", type !== "bipolar" && type !== "mastoids");
+    c?.classList.toggle("hidden", type !== "mastoids");
+    montageWeights?.classList.toggle("hidden", type !== "custom");
+  }
+
+  // Montage edited: re-derive, keep the channel selections, redraw
+  async function montageChanged() {
+    if (!lastRecording) {
+      montageErrors = [];
+      renderMontageList();
+      return;
+    }
+    const keep = new Map();
+    lastRecording.channels.forEach((ch, i) => keep.set(ch.name, {
+      waveform: waveformVisible[i],
+      spectrogram: spectrogramVisible[i],
+      hypnogram: hypnogramVisible[i],
+    }));
+
+    applyMontage(lastRecording);
+    buildChannelControls(lastRecording, keep);
+    drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
+    resetDerivedOverviews();
+    updateOverview();
+
+    refreshSpectrogram();
+
+    // a staged derived channel may have been removed or redefined;
+    // unchanged selections come from the staging cache
+    setSectionLoading(hypnogramSection, true);
+    await nextPaint();
+    try {
+      await renderHypnogramFromSelection();
+    } finally {
+      setSectionLoading(hypnogramSection, false);
+    }
+  }
+
+  montageTypeSelect?.addEventListener("change", updateMontageInputs);
+  updateMontageInputs();
+
+  document.getElementById("montage-add-button")?.addEventListener("click", () => {
+    if (!rawChannels(lastRecording).length) return;
+    const D = window.LucidifyMontageDerivation;
+    const [a, b, c] = montageChannelSelects.map((sel) => sel?.value);
+    const label = montageLabelInput?.value.trim() || undefined;
+
+    let derivation;
+    switch (montageTypeSelect?.value) {
+      case "mastoids":
+        derivation = D.linkedMastoids(a, b, c, label);
+        break;
+      case "average": {
+        // mean of the raw channels recorded like A (same rate and unit)
+        const ref = rawChannels(lastRecording).find((ch) => ch.name === a);
+        const pool = rawChannels(lastRecording)
+          .filter((ch) => ch.fs === ref.fs && ch.physDim === ref.physDim)
+          .map((ch) => ch.name);
+        derivation = D.averageReference(a, pool, label);
+        break;
+      }
+      case "custom": {
+        const weights = {};
+        for (const input of montageWeights.querySelectorAll("input")) {
+          const w = Number(input.value);
+          if (Number.isFinite(w) && w !== 0) weights[input.dataset.channel] = w;
+        }
+        derivation = D.linearCombination(weights, label);
+        break;
+      }
+      default:
+        derivation = D.bipolar(a, b, label);
+    }
+
+    if (derivation.terms.length === 0) {
+      montageStatus.textContent = "The derivation is all zeros.";
+      return;
+    }
+    if (montage.derivations.some((d) => d.label === derivation.label)) {
+      montageStatus.textContent = `"${derivation.label}" is already in the montage.`;
+      return;
+    }
+    montageStatus.textContent = "";
+    montage.derivations.push(derivation);
+    if (montageLabelInput) montageLabelInput.value = "";
+    montageChanged();
+  });
+
+  document.getElementById("montage-clear-button")?.addEventListener("click", () => {
+    montage = { name: "", derivations: [] };
+    montageStatus.textContent = "";
+    montageChanged();
+  });
+
+  document.getElementById("montage-save-button")?.addEventListener("click", () => {
+    downloadFile(window.LucidifySerializeMontage(montage), "application/json",
+                 `${montage.name || "montage"}.json`);
+  });
+
+  document.getElementById("montage-load-button")?.addEventListener("click", () => {
+    montageLoadInput?.click();
+  });
+
+  montageLoadInput?.addEventListener("change", async () => {
+    const f = montageLoadInput.files?.[0];
+    montageLoadInput.value = "";
+    if (!f) return;
+    try {
+      montage = window.LucidifyParseMontage(await f.text());
+      if (!montage.name) montage.name = f.name.replace(/\.json$/i, "");
+      montageStatus.textContent = `Loaded ${f.name}.`;
+    } catch (err) {
+      montageStatus.textContent = err.message;
+      return;
+    }
+    montageChanged();
+  });
+
+  // --- Worker EDF loading -----------------------------------------------
+
+  /**
+   * Stream an EDF/BDF file through the worker parser (edf_stream_loader.js)
+   * with progress and a Cancel button on the loading overlay.
+   * @param {File} file
+   * @param {Object} [opts] - repair: apply safe header repairs first
+   */
+  async function loadEdfFile(file, { repair = false } = {}) {
+    if (activeLoad) activeLoad.cancel();
+
+    lastFile = file;
+    setLoading(true);
+    if (loadingProgress) loadingProgress.textContent = "";
+    loadingCancelButton?.classList.remove("hidden");
+
+    const load = parseEdfFileInWorker(file, {
+      repair,
+      onProgress: (loaded, total) => {
+        if (loadingProgress && total > 0) {
+          loadingProgress.textContent = `${Math.round((100 * loaded) / total)}%`;
+        }
+      }
+    });
+    activeLoad = load;
+
+    try {
+      const { recording, applied } = await load.promise;
+      useRecording(recording);
+      if (applied.length) {
+        fileInfo.textContent = `${file.name}: applied ${applied.length} header repair(s).`;
+      }
+    } catch (err) {
+      if (err.cancelled) {
+        if (activeLoad === load) fileInfo.textContent = "EDF load cancelled.";
+        return;
+      }
+      console.error("Error parsing EDF:", err);
+      const issues = err.headerIssues || [];
+      renderHeaderIssues(issues);
+      fileInfo.textContent = issues.length
+        ? "Error parsing EDF file: see the header issues below."
+        : "Error parsing EDF file.";
+    } finally {
+      if (activeLoad === load) {
+        activeLoad = null;
+        loadingCancelButton?.classList.add("hidden");
+        setLoading(false);
+      }
+    }
+  }
+
+  loadingCancelButton?.addEventListener("click", () => {
+    if (activeLoad) activeLoad.cancel();
+  });
+
   // --- Use a new Recording ----------------------------------------------
 
   /**
@@ -891,7 +2817,35 @@ async function renderHypnogramFromSelection() {
    */
   function useRecording(recording) {
 	viewerSections.classList.remove("hidden");
+    if (lastRecording?.paged && lastRecording !== recording) lastRecording.paged.close();
+    if (lastRecording !== recording) cancelYasaStaging();
     lastRecording = recording;
+    overviewCache = new Map();
+    overviewJob = null;
+    // min/max levels for zoomed-out waveform views (paged files get theirs
+    // from the overview pass)
+    if (recording && !recording.paged) window.LucidifyEnsureMinMaxPyramids?.(recording);
+    lastHypnogram = null;
+    stagingCache = new Map();
+    userScores = {
+      stages: new Array(Math.floor((recording?.durationSec || 0) / EPOCH_SEC)).fill(null),
+      undo: [],
+      redo: [],
+    };
+    updateSleepStats();
+    renderRecordingInfo(recording);
+    if (recording?.channels?.length) applyMontage(recording);
+    fillMontageChannelSelects(recording);
+    renderHeaderIssues(recording?.headerIssues);
+
+    const start = recording?.header?.startDateTime;
+    clockOriginSec = start instanceof Date ? secondsAfterMidnight(start) : null;
+    if (clockTimeCheckbox) {
+      clockTimeCheckbox.disabled = clockOriginSec == null;
+      if (clockOriginSec == null) clockTimeCheckbox.checked = false;
+      useClockTime = clockTimeCheckbox.checked;
+    }
+    if (gotoTimeInput) gotoTimeInput.placeholder = clockOriginSec == null ? "seconds" : "HH:MM:SS";
 
     if (!recording || !recording.channels || recording.channels.length === 0) {
       fileInfo.textContent = "No data in recording.";
@@ -929,6 +2883,10 @@ async function renderHypnogramFromSelection() {
 	  drawWaveform(waveformCtx, waveformCanvas, lastRecording, waveformVisible);
 	});
     drawSpectrogram(spectrogramCtx, spectrogramCanvas, lastRecording, spectrogramVisible);
+    // Paged files: the overview spectrogram and staging wait for the
+    // min/max overview pass (loadPagedEdfFile)
+    if (lastRecording.paged) return;
+    updateOverview();
 	setSectionLoading(hypnogramSection, true);
 	nextPaint().then(async () => {
       try {
@@ -939,9 +2897,15 @@ async function renderHypnogramFromSelection() {
     });
   }
 	if (saveViewButton) {
-	  saveViewButton.addEventListener("click", () => {
+	  saveViewButton.addEventListener("click", async () => {
 		if (!lastRecording) return;
 
+		const paged = lastRecording.paged;
+		if (paged && !(await paged.ensureWindow(viewStartSec, viewDurationSec))) {
+		  alert(`Zoom in to ${Math.floor(paged.maxWindowSec / 60)} min or less to save a view of a paged file.`);
+		  return;
+		}
+
 		// Use waveform visibility as “selected channels”
 		const channelIndices = [];
 		for (let i = 0; i < waveformVisible.length; i++) {
@@ -956,15 +2920,19 @@ async function renderHypnogramFromSelection() {
 		  (lastFileName ? lastFileName.replace(/\.[^.]+$/, "") : "recording") +
 		  "_view";
 		const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-		const filename = `${baseName}_${timestamp}.edf`;
+		// Keep 24-bit precision when the source was BDF
+		const format = lastRecording.format === "BDF" ? "bdf" : "edf";
+		const filename = `${baseName}_${timestamp}.${format}`;
 
 		window.LucidifyDownloadEdfFromView({
 		  recording: lastRecording,
 		  channelIndices,
 		  viewStartSec,
 		  viewDurationSec,
-		  patientId: "X",
-		  recordingId: `Trimmed from ${lastFileName || "EDF"}`,
+		  // patient/recording IDs carry over from the source header
+		  recordingId: lastRecording.header?.recordingId ||
+		    `Trimmed from ${lastFileName || "EDF"}`,
+		  format,
 		  filename
 		});
 	  });
@@ -989,10 +2957,29 @@ async function renderHypnogramFromSelection() {
 		fileInfo.textContent = `Selected file: ${name} (${(size / (1024 * 1024)).toFixed(2)} MB)`;
 	
 		lastFileName = name;
+		lastFile = null;
+		renderHeaderIssues(null);
 		if (saveViewButton) {
 		saveViewButton.disabled = true; // will re-enable once recording is valid
 		}
 	
+		if (size >= LARGE_FILE_THRESHOLD_BYTES && window.LucidifyOpenPagedEdf) {
+		  try {
+			await loadPagedEdfFile(file);
+			setLoading(false);
+			return;
+		  } catch (err) {
+			if (err.code !== "discontinuous") {
+			  console.error("Error opening EDF for paging:", err);
+			  renderHeaderIssues(err.headerIssues || []);
+			  fileInfo.textContent = "Error parsing EDF file.";
+			  setLoading(false);
+			  return;
+			}
+			// EDF+D: fall through to the segment dialog
+		  }
+		}
+
 		if (segmentLoader && size >= LARGE_FILE_THRESHOLD_BYTES) {
 		  try {
 			const taken = segmentLoader.handleFile(file);
@@ -1009,35 +2996,16 @@ async function renderHypnogramFromSelection() {
 		}
 	
 	
-		const reader = new FileReader();
-	
-		reader.onload = (ev) => {
-		try {
-			const arrayBuffer = ev.target.result;
-			const nameLower = (name || "").toLowerCase();
-	
-			if (nameLower.endsWith(".edf")) {
-			const recording = parseEdf(arrayBuffer);
-			useRecording(recording);
-			} else {
-			console.warn("Unknown format, using fake data for now");
-			const recording = createFakeRecording();
-			useRecording(recording);
-			}
-		} catch (err) {
-			console.error("Error parsing EDF:", err);
-			fileInfo.textContent = "Error parsing EDF file.";
+		const nameLower = (name || "").toLowerCase();
+		if (nameLower.endsWith(".edf") || nameLower.endsWith(".bdf")) {
+		  // streamed record by record in a worker; the UI stays responsive
+		  await loadEdfFile(file);
+		  return;
 		}
-		};
-	
-		reader.onerror = (err) => {
-		console.error("Error reading file", err);
-		fileInfo.textContent = "Error reading file.";
-		};
-		reader.onloadend = () => {
-		  setLoading(false);
-		};
-		reader.readAsArrayBuffer(file);
+
+		console.warn("Unknown format, using fake data for now");
+		useRecording(createFakeRecording());
+		setLoading(false);
 	}catch(err){
 		 console.error("Error parsing EDF:", err);
 		 setLoading(false);
@@ -0,0 +1,117 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Also loaded by edf_worker.js, so no DOM access here.
+  const root = typeof window !== "undefined" ? window : self;
+
+  const BASE_BIN_SAMPLES = 16; // finest level: 16 samples per bin
+  const LEVEL_FACTOR = 4;      // each level merges 4 bins of the one below
+  const MIN_TOP_BINS = 512;    // stop once a level is about this coarse
+
+  /**
+   * Min/max summary of `samples`: bin b covers samples
+   * [b * binSamples, (b + 1) * binSamples). NaN samples (EDF+D gaps) are
+   * skipped; a bin with no data is NaN.
+   * @param {Float32Array} samples
+   * @param {number} binSamples
+   * @returns {{ binSamples: number, min: Float32Array, max: Float32Array }}
+   */
+  function buildMinMaxLevel(samples, binSamples) {
+    const nBins = Math.ceil(samples.length / binSamples);
+    const min = new Float32Array(nBins);
+    const max = new Float32Array(nBins);
+
+    for (let b = 0; b < nBins; b++) {
+      const end = Math.min(samples.length, (b + 1) * binSamples);
+      let lo = Infinity;
+      let hi = -Infinity;
+      for (let i = b * binSamples; i < end; i++) {
+        const v = samples[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      min[b] = lo === Infinity ? NaN : lo;
+      max[b] = hi === -Infinity ? NaN : hi;
+    }
+    return { binSamples, min, max };
+  }
+
+  // Next coarser level: LEVEL_FACTOR bins of `level` per bin.
+  function coarsenLevel(level) {
+    const nBins = Math.ceil(level.min.length / LEVEL_FACTOR);
+    const min = new Float32Array(nBins);
+    const max = new Float32Array(nBins);
+
+    for (let b = 0; b < nBins; b++) {
+      const end = Math.min(level.min.length, (b + 1) * LEVEL_FACTOR);
+      let lo = Infinity;
+      let hi = -Infinity;
+      for (let i = b * LEVEL_FACTOR; i < end; i++) {
+        if (level.min[i] < lo) lo = level.min[i];
+        if (level.max[i] > hi) hi = level.max[i];
+      }
+      min[b] = lo === Infinity ? NaN : lo;
+      max[b] = hi === -Infinity ? NaN : hi;
+    }
+    return { binSamples: level.binSamples * LEVEL_FACTOR, min, max };
+  }
+
+  /**
+   * Add coarser levels on top of `base` until the top level has about
+   * MIN_TOP_BINS bins.
+   * @param {{ binSamples, min, max }} base
+   * @returns {Array<{ binSamples, min, max }>} finest first
+   */
+  function extendMinMaxPyramid(base) {
+    const levels = [base];
+    let top = base;
+    while (top.min.length > MIN_TOP_BINS * LEVEL_FACTOR) {
+      top = coarsenLevel(top);
+      levels.push(top);
+    }
+    return levels;
+  }
+
+  /**
+   * Multi-resolution min/max pyramid for one channel, built once at load
+   * so the waveform view can draw from ~2 bins per pixel at any zoom
+   * instead of scanning every sample (see pickMinMaxLevel in renderers.js).
+   * @param {Float32Array} samples
+   * @returns {Array<{ binSamples, min, max }>} finest first; empty for
+   *   channels too short to need one
+   */
+  function buildMinMaxPyramid(samples) {
+    if (!samples || samples.length < BASE_BIN_SAMPLES * MIN_TOP_BINS) return [];
+    return extendMinMaxPyramid(buildMinMaxLevel(samples, BASE_BIN_SAMPLES));
+  }
+
+  /**
+   * Attach `ch.minMaxLevels` to every channel of a recording that has none.
+   * @param {Recording} recording
+   */
+  function ensureMinMaxPyramids(recording) {
+    for (const ch of (recording && recording.channels) || []) {
+      if (!ch.minMaxLevels) ch.minMaxLevels = buildMinMaxPyramid(ch.samples);
+    }
+  }
+
+  root.LucidifyBuildMinMaxPyramid = buildMinMaxPyramid;
+  root.LucidifyExtendMinMaxPyramid = extendMinMaxPyramid;
+  root.LucidifyEnsureMinMaxPyramids = ensureMinMaxPyramids;
+})();
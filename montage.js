@@ -0,0 +1,328 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // A montage is a list of derived channels, each a linear combination of
+  // raw channels referenced by label, so one montage file works for every
+  // recording with the same labels:
+  //
+  //   { "format": "lucidify-montage", "version": 1, "name": "PSG",
+  //     "derivations": [
+  //       { "label": "C4-M1", "terms": [ { "channel": "C4", "weight": 1 },
+  //                                      { "channel": "M1", "weight": -1 } ] } ] }
+  //
+  // Derived channels are appended to recording.channels (ch.derivation set)
+  // so the views, staging and "Save view" treat them like raw channels.
+
+  const MONTAGE_FORMAT = "lucidify-montage";
+  const MONTAGE_VERSION = 1;
+
+  // Voltage units relative to µV; other units only combine with themselves
+  const UNIT_TO_MICROVOLT = { V: 1e6, mV: 1e3, uV: 1, "µV": 1, nV: 1e-3 };
+
+  function sameLabel(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+
+  // Index of the raw channel called `label` (exact match first), or -1
+  function findRawChannel(channels, label) {
+    let idx = channels.findIndex((ch) => !ch.derivation && ch.name === label);
+    if (idx < 0) idx = channels.findIndex((ch) => !ch.derivation && sameLabel(ch.name, label));
+    return idx;
+  }
+
+  // Factor converting `fromDim` samples to `toDim`, or null if incompatible
+  function unitFactor(fromDim, toDim) {
+    const a = (fromDim || "").trim();
+    const b = (toDim || "").trim();
+    if (a === b) return 1;
+    if (a in UNIT_TO_MICROVOLT && b in UNIT_TO_MICROVOLT) {
+      return UNIT_TO_MICROVOLT[a] / UNIT_TO_MICROVOLT[b];
+    }
+    return null;
+  }
+
+  // Merge repeated channels and drop zero weights
+  function normalizeTerms(terms) {
+    const out = [];
+    for (const t of terms) {
+      const prev = out.find((o) => sameLabel(o.channel, t.channel));
+      if (prev) prev.weight += t.weight;
+      else out.push({ channel: t.channel, weight: t.weight });
+    }
+    return out.filter((t) => Math.abs(t.weight) > 1e-12);
+  }
+
+  // --- Derivation presets -------------------------------------------------
+
+  /** a - b, e.g. bipolar("F3", "C3") -> "F3-C3" */
+  function bipolar(a, b, label) {
+    return {
+      label: label || `${a}-${b}`,
+      terms: normalizeTerms([{ channel: a, weight: 1 }, { channel: b, weight: -1 }])
+    };
+  }
+
+  /** ch - (m1 + m2) / 2 */
+  function linkedMastoids(ch, m1, m2, label) {
+    return {
+      label: label || `${ch}-(${m1}+${m2})/2`,
+      terms: normalizeTerms([
+        { channel: ch, weight: 1 },
+        { channel: m1, weight: -0.5 },
+        { channel: m2, weight: -0.5 }
+      ])
+    };
+  }
+
+  /** ch - mean(pool); `pool` may include `ch` itself */
+  function averageReference(ch, pool, label) {
+    const w = pool.length ? -1 / pool.length : 0;
+    return {
+      label: label || `${ch}-AVG`,
+      terms: normalizeTerms([{ channel: ch, weight: 1 }]
+        .concat(pool.map((p) => ({ channel: p, weight: w }))))
+    };
+  }
+
+  /** Any linear combination: `weights` maps channel label -> weight. */
+  function linearCombination(weights, label) {
+    const terms = normalizeTerms(Object.keys(weights)
+      .map((channel) => ({ channel, weight: Number(weights[channel]) })));
+    return {
+      label: label || terms.map((t, i) =>
+        `${t.weight < 0 ? "-" : i ? "+" : ""}${Math.abs(t.weight) === 1 ? "" : Math.abs(t.weight) + "*"}${t.channel}`
+      ).join(""),
+      terms
+    };
+  }
+
+  // --- JSON ---------------------------------------------------------------
+
+  /**
+   * Parse and check a montage JSON file.
+   * @param {string} text
+   * @returns {{ name: string, derivations: Array<{label, terms}> }}
+   * @throws {Error} with a message fit for the UI
+   */
+  function parseMontage(text) {
+    let obj;
+    try {
+      obj = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Montage file is not valid JSON: ${err.message}`);
+    }
+    if (!obj || obj.format !== MONTAGE_FORMAT) {
+      throw new Error(`Not a montage file (expected "format": "${MONTAGE_FORMAT}").`);
+    }
+    if (obj.version > MONTAGE_VERSION) {
+      throw new Error(`Montage version ${obj.version} is newer than this viewer supports.`);
+    }
+    if (!Array.isArray(obj.derivations)) {
+      throw new Error("Montage file has no \"derivations\" list.");
+    }
+
+    const derivations = obj.derivations.map((d, i) => {
+      const where = `Derivation ${i + 1}`;
+      if (!d || typeof d.label !== "string" || !d.label.trim()) {
+        throw new Error(`${where} has no label.`);
+      }
+      if (!Array.isArray(d.terms) || d.terms.length === 0) {
+        throw new Error(`${where} (${d.label}) has no terms.`);
+      }
+      const terms = d.terms.map((t) => {
+        if (!t || typeof t.channel !== "string" || !Number.isFinite(Number(t.weight))) {
+          throw new Error(`${where} (${d.label}) has a term without a channel or numeric weight.`);
+        }
+        return { channel: t.channel, weight: Number(t.weight) };
+      });
+      return { label: d.label.trim(), terms: normalizeTerms(terms) };
+    });
+
+    return { name: typeof obj.name === "string" ? obj.name : "", derivations };
+  }
+
+  /** @returns {string} JSON text for parseMontage */
+  function serializeMontage(montage) {
+    return JSON.stringify({
+      format: MONTAGE_FORMAT,
+      version: MONTAGE_VERSION,
+      name: montage.name || "",
+      derivations: montage.derivations.map((d) => ({
+        label: d.label,
+        terms: d.terms.map((t) => ({ channel: t.channel, weight: t.weight }))
+      }))
+    }, null, 2);
+  }
+
+  // --- Derived channels ---------------------------------------------------
+
+  /**
+   * Map a derivation onto a recording's raw channels.
+   * @returns {{ terms: Array<{index, weight}>, fs, physDim }}
+   * @throws {Error} when a channel is missing or rates/units do not match
+   */
+  function resolveDerivation(channels, derivation) {
+    const terms = derivation.terms.map((t) => {
+      const index = findRawChannel(channels, t.channel);
+      if (index < 0) throw new Error(`${derivation.label}: no channel "${t.channel}".`);
+      return { index, weight: t.weight };
+    });
+    if (terms.length === 0) throw new Error(`${derivation.label}: all weights are zero.`);
+
+    const first = channels[terms[0].index];
+    for (const t of terms) {
+      const ch = channels[t.index];
+      if (ch.fs !== first.fs) {
+        throw new Error(`${derivation.label}: ${first.name} (${first.fs} Hz) and ` +
+          `${ch.name} (${ch.fs} Hz) have different sampling rates.`);
+      }
+      const f = unitFactor(ch.physDim, first.physDim);
+      if (f == null) {
+        throw new Error(`${derivation.label}: cannot combine ${first.name} (${first.physDim}) ` +
+          `and ${ch.name} (${ch.physDim}).`);
+      }
+      t.weight *= f; // result is in the first channel's unit
+    }
+    return { terms, fs: first.fs, physDim: first.physDim };
+  }
+
+  // Weighted sum of the source channels' current samples
+  function combine(channels, terms) {
+    let len = Infinity;
+    for (const t of terms) len = Math.min(len, channels[t.index].samples.length);
+    const out = new Float32Array(len);
+    for (const t of terms) {
+      const s = channels[t.index].samples;
+      const w = t.weight;
+      for (let i = 0; i < len; i++) out[i] += w * s[i];
+    }
+    return out;
+  }
+
+  function buildDerivedChannel(channels, derivation) {
+    const { terms, fs, physDim } = resolveDerivation(channels, derivation);
+    const src = terms.map((t) => channels[t.index]);
+    const ch = {
+      name: derivation.label,
+      fs,
+      physDim,
+      samples: combine(channels, terms),
+      samplesStartSec: src[0].samplesStartSec || 0,
+      transducer: "",
+      prefilter: "",
+      derivation: { label: derivation.label, terms }
+    };
+    if (src.every((s) => s.totalSamples != null)) {
+      ch.totalSamples = Math.min(...src.map((s) => s.totalSamples));
+    }
+    return ch;
+  }
+
+  // Display range from the loaded samples, once there are any
+  function setDerivedDisplayRange(ch) {
+    if (ch.samples.length === 0 || ch.derivation.rangeSet) return;
+    window.LucidifyComputeDisplayRanges({ channels: [ch] });
+    ch.derivation.rangeSet = true;
+  }
+
+  /**
+   * Replace the recording's derived channels with the montage's. Raw
+   * channels keep their indices; derived ones follow in montage order.
+   * Derivations that do not fit this recording are skipped and reported.
+   * @param {Recording} recording
+   * @param {{ derivations: Array }} montage
+   * @returns {{ added: number, errors: Array<{label: string, message: string}> }}
+   */
+  function applyMontage(recording, montage) {
+    const raw = recording.channels.filter((ch) => !ch.derivation);
+    const derived = [];
+    const errors = [];
+
+    for (const d of (montage && montage.derivations) || []) {
+      if (raw.concat(derived).some((ch) => ch.name === d.label)) {
+        errors.push({ label: d.label, message: `${d.label}: a channel with this label already exists.` });
+        continue;
+      }
+      try {
+        const ch = buildDerivedChannel(raw, d);
+        setDerivedDisplayRange(ch);
+        // Paged files have no whole-file samples to build a pyramid from
+        if (!recording.paged) ch.minMaxLevels = window.LucidifyBuildMinMaxPyramid(ch.samples);
+        derived.push(ch);
+      } catch (err) {
+        errors.push({ label: d.label, message: err.message });
+      }
+    }
+
+    recording.channels = raw.concat(derived);
+    return { added: derived.length, errors };
+  }
+
+  /**
+   * Recompute derived channels from the raw channels' current samples
+   * (called by PagedEdfSource after it swaps in a new window).
+   * @param {Recording} recording
+   */
+  function updateDerivedChannels(recording) {
+    for (const ch of recording.channels) {
+      if (!ch.derivation) continue;
+      const src = recording.channels[ch.derivation.terms[0].index];
+      ch.samples = combine(recording.channels, ch.derivation.terms);
+      ch.samplesStartSec = src.samplesStartSec || 0;
+      setDerivedDisplayRange(ch);
+    }
+  }
+
+  /**
+   * PagedEdfSource.readRange for any mix of raw and derived channels:
+   * reads each raw source once and combines derived channels from them.
+   * @returns {Promise<{ startSec: number, channels: Array<Object> }>}
+   */
+  async function readMontageRange(recording, startSec, endSec, indices) {
+    const chans = recording.channels;
+    const sources = [];
+    for (const i of indices) {
+      const need = chans[i].derivation ? chans[i].derivation.terms.map((t) => t.index) : [i];
+      for (const s of need) if (!sources.includes(s)) sources.push(s);
+    }
+
+    const range = await recording.paged.readRange(startSec, endSec, sources);
+    const byIndex = [];
+    sources.forEach((s, k) => { byIndex[s] = range.channels[k]; });
+
+    return {
+      startSec: range.startSec,
+      channels: indices.map((i) => {
+        const ch = chans[i];
+        if (!ch.derivation) return byIndex[i];
+        return Object.assign({}, ch, {
+          samples: combine(byIndex, ch.derivation.terms),
+          samplesStartSec: range.startSec
+        });
+      })
+    };
+  }
+
+  window.LucidifyMontageDerivation = { bipolar, linkedMastoids, averageReference, linearCombination };
+  window.LucidifyParseMontage = parseMontage;
+  window.LucidifySerializeMontage = serializeMontage;
+  window.LucidifyApplyMontage = applyMontage;
+  window.LucidifyUpdateDerivedChannels = updateDerivedChannels;
+  window.LucidifyReadMontageRange = readMontageRange;
+})();
@@ -0,0 +1,427 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Multitaper spectral estimation (DPSS / Slepian tapers), spectrogram
+  // frames for the detail view and the whole-recording overview drawn
+  // above it. No DOM access: spectrogram_worker.js loads this too.
+  const root = typeof window !== "undefined" ? window : self;
+
+  // Overview: 30 s windows (one per scoring epoch), NW = 3 with 5 tapers,
+  // 0-30 Hz, computed at 100 Hz at most
+  const OVERVIEW_WINDOW_SEC = 30;
+  const OVERVIEW_MIN_COLUMNS = 64;  // shorter recordings get shorter windows
+  const OVERVIEW_NW = 3;
+  const OVERVIEW_TAPERS = 5;
+  const OVERVIEW_MAX_HZ = 30;
+  const OVERVIEW_FS = 100;
+  const OVERVIEW_CHUNK_SEC = 300;   // data read per step (paged files)
+
+  function nextPow2(n) {
+    let p = 1;
+    while (p < n) p <<= 1;
+    return p;
+  }
+
+  // ----------------- FFT -------------------------------------------------
+
+  // n -> { cos, sin, rev } for the radix-2 FFT
+  const fftTables = new Map();
+
+  function fftTable(n) {
+    let t = fftTables.get(n);
+    if (t) return t;
+    const levels = Math.log2(n) | 0;
+    const rev = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      let j = 0;
+      for (let k = 0; k < levels; k++) j = (j << 1) | ((i >> k) & 1);
+      rev[i] = j;
+    }
+    const cos = new Float64Array(n >> 1);
+    const sin = new Float64Array(n >> 1);
+    for (let i = 0; i < n >> 1; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / n);
+      sin[i] = -Math.sin((2 * Math.PI * i) / n);
+    }
+    t = { cos, sin, rev };
+    fftTables.set(n, t);
+    return t;
+  }
+
+  // In-place FFT of re/im (length a power of 2)
+  function fft(re, im) {
+    const n = re.length;
+    const { cos, sin, rev } = fftTable(n);
+    for (let i = 0; i < n; i++) {
+      const j = rev[i];
+      if (j > i) {
+        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+      }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const stride = n / size;
+      for (let i = 0; i < n; i += size) {
+        for (let j = 0; j < half; j++) {
+          const k = i + j;
+          const l = k + half;
+          const wr = cos[j * stride];
+          const wi = sin[j * stride];
+          const tre = wr * re[l] - wi * im[l];
+          const tim = wr * im[l] + wi * re[l];
+          re[l] = re[k] - tre;
+          im[l] = im[k] - tim;
+          re[k] += tre;
+          im[k] += tim;
+        }
+      }
+    }
+  }
+
+  // ----------------- DPSS -------------------------------------------------
+  // The Slepian sequences are the eigenvectors of a symmetric tridiagonal
+  // matrix (Percival & Walden 1993, 8.3): eigenvalues by bisection on the
+  // Sturm count, eigenvectors by inverse iteration.
+
+  function dpssMatrix(N, NW) {
+    const c = Math.cos((2 * Math.PI * NW) / N);
+    const diag = new Float64Array(N);
+    const off = new Float64Array(N); // off[i] couples i-1 and i
+    for (let i = 0; i < N; i++) {
+      const h = (N - 1) / 2 - i;
+      diag[i] = h * h * c;
+      if (i > 0) off[i] = (i * (N - i)) / 2;
+    }
+    return { diag, off };
+  }
+
+  // Number of eigenvalues below x
+  function sturmCount(diag, off, x) {
+    let count = 0;
+    let q = 1;
+    for (let i = 0; i < diag.length; i++) {
+      const e2 = i > 0 ? off[i] * off[i] : 0;
+      q = diag[i] - x - (i > 0 ? e2 / q : 0);
+      if (q === 0) q = -1e-300;
+      if (q < 0) count++;
+    }
+    return count;
+  }
+
+  // k-th smallest eigenvalue (0-based)
+  function eigenvalue(diag, off, k, lo, hi) {
+    for (let it = 0; it < 200 && hi - lo > 1e-12 * Math.max(1, Math.abs(hi)); it++) {
+      const mid = (lo + hi) / 2;
+      if (sturmCount(diag, off, mid) > k) hi = mid;
+      else lo = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // Solve (T - lambda I) x = b in place (Thomas algorithm)
+  function solveShifted(diag, off, lambda, b) {
+    const n = diag.length;
+    const c = new Float64Array(n);
+    let d = diag[0] - lambda || 1e-300;
+    c[0] = (n > 1 ? off[1] : 0) / d;
+    b[0] /= d;
+    for (let i = 1; i < n; i++) {
+      d = diag[i] - lambda - off[i] * c[i - 1];
+      if (d === 0) d = 1e-300;
+      c[i] = (i + 1 < n ? off[i + 1] : 0) / d;
+      b[i] = (b[i] - off[i] * b[i - 1]) / d;
+    }
+    for (let i = n - 2; i >= 0; i--) b[i] -= c[i] * b[i + 1];
+  }
+
+  function normalize(v) {
+    let s = 0;
+    for (let i = 0; i < v.length; i++) s += v[i] * v[i];
+    s = Math.sqrt(s) || 1;
+    for (let i = 0; i < v.length; i++) v[i] /= s;
+  }
+
+  // N -> NW -> K -> tapers
+  const dpssCache = new Map();
+
+  /**
+   * First K discrete prolate spheroidal sequences of length N and
+   * time-half-bandwidth product NW, each with unit energy. Symmetric
+   * tapers sum to a positive value, antisymmetric ones start positive.
+   * @param {number} N
+   * @param {number} NW
+   * @param {number} K - usually 2 * NW - 1
+   * @returns {Float64Array[]}
+   */
+  function dpss(N, NW, K) {
+    const key = `${N}|${NW}|${K}`;
+    const hit = dpssCache.get(key);
+    if (hit) return hit;
+
+    const { diag, off } = dpssMatrix(N, NW);
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (let i = 0; i < N; i++) {
+      const r = (i > 0 ? off[i] : 0) + (i + 1 < N ? off[i + 1] : 0);
+      lo = Math.min(lo, diag[i] - r);
+      hi = Math.max(hi, diag[i] + r);
+    }
+
+    const tapers = [];
+    for (let k = 0; k < K; k++) {
+      const lambda = eigenvalue(diag, off, N - 1 - k, lo, hi);
+      const shift = lambda + 1e-10 * Math.max(1, Math.abs(lambda));
+      const v = new Float64Array(N);
+      for (let i = 0; i < N; i++) v[i] = 1 + 0.01 * Math.sin(i * (k + 1)); // not orthogonal to the target
+      for (let it = 0; it < 4; it++) {
+        solveShifted(diag, off, shift, v);
+        normalize(v);
+      }
+
+      let s = 0;
+      if (k % 2 === 0) {
+        for (let i = 0; i < N; i++) s += v[i];
+      } else {
+        for (let i = 0; i < N; i++) s += v[i] * ((N - 1) / 2 - i);
+      }
+      if (s < 0) for (let i = 0; i < N; i++) v[i] = -v[i];
+      tapers.push(v);
+    }
+
+    dpssCache.set(key, tapers);
+    return tapers;
+  }
+
+  /**
+   * One-sided multitaper PSD of `x` (mean removed): the average of the
+   * tapered periodograms, in units^2/Hz.
+   * @param {ArrayLike<number>} x - length of the tapers
+   * @param {number} fs
+   * @param {Float64Array[]} tapers - from dpss()
+   * @param {number} [nfft] - zero-padded FFT length (power of 2)
+   * @param {number} [maxBin] - last bin to return
+   * @returns {Float64Array} bins 0..maxBin, spacing fs / nfft
+   */
+  function multitaperPsd(x, fs, tapers, nfft = nextPow2(x.length), maxBin = nfft >> 1) {
+    const N = x.length;
+    let mu = 0;
+    for (let i = 0; i < N; i++) mu += x[i];
+    mu /= N || 1;
+
+    const re = new Float64Array(nfft);
+    const im = new Float64Array(nfft);
+    const psd = new Float64Array(maxBin + 1);
+    for (const w of tapers) {
+      re.fill(0);
+      im.fill(0);
+      for (let i = 0; i < N; i++) re[i] = (x[i] - mu) * w[i];
+      fft(re, im);
+      for (let k = 0; k <= maxBin; k++) psd[k] += re[k] * re[k] + im[k] * im[k];
+    }
+    const scale = 2 / (fs * tapers.length);
+    for (let k = 0; k <= maxBin; k++) psd[k] *= scale;
+    psd[0] /= 2;
+    if (maxBin === nfft >> 1) psd[maxBin] /= 2;
+    return psd;
+  }
+
+  // ----------------- Spectrogram frames -----------------------------------
+
+  // "taper|N|nw" -> taper set, unit energy each
+  const taperCache = new Map();
+
+  /**
+   * Tapers for one spectrogram frame: a single window with unit energy, or
+   * the 2NW - 1 DPSS tapers for "multitaper".
+   * @param {string} taper - "hann" | "hamming" | "blackman" | "rect" | "multitaper"
+   * @param {number} N
+   * @param {number} nw
+   * @returns {Float64Array[]}
+   */
+  function spectrogramTapers(taper, N, nw) {
+    const key = `${taper}|${N}|${taper === "multitaper" ? nw : ""}`;
+    let tapers = taperCache.get(key);
+    if (tapers) return tapers;
+
+    if (taper === "multitaper") {
+      tapers = dpss(N, nw, Math.max(1, Math.floor(2 * nw) - 1));
+    } else {
+      const w = new Float64Array(N);
+      for (let i = 0; i < N; i++) {
+        const a = (2 * Math.PI * i) / Math.max(1, N - 1);
+        if (taper === "hamming") w[i] = 0.54 - 0.46 * Math.cos(a);
+        else if (taper === "blackman") w[i] = 0.42 - 0.5 * Math.cos(a) + 0.08 * Math.cos(2 * a);
+        else if (taper === "rect") w[i] = 1;
+        else w[i] = 0.5 * (1 - Math.cos(a));
+      }
+      normalize(w);
+      tapers = [w];
+    }
+    if (taperCache.size > 16) taperCache.clear();
+    taperCache.set(key, tapers);
+    return tapers;
+  }
+
+  /**
+   * @typedef {Object} FramePlan
+   * @property {number} fs
+   * @property {number} winSize - samples per frame
+   * @property {number} nfft
+   * @property {number} minBin
+   * @property {number} maxBin
+   * @property {string} taper
+   * @property {number} nw
+   * @property {string} scale - "db" | "linear"
+   */
+
+  /**
+   * Spectrogram rows for `count` frames packed back to back in `packed`
+   * (plan.winSize samples each): PSD values of bins minBin..maxBin in dB
+   * or linear, null for frames with NaN (EDF+D gaps).
+   * @param {Float32Array} packed
+   * @param {number} count
+   * @param {FramePlan} plan
+   * @returns {Array<Float32Array|null>}
+   */
+  function spectrogramRows(packed, count, plan) {
+    const { fs, winSize, nfft, minBin, maxBin, scale } = plan;
+    const tapers = spectrogramTapers(plan.taper, winSize, plan.nw);
+    const rows = new Array(count);
+    for (let f = 0; f < count; f++) {
+      const frame = packed.subarray(f * winSize, (f + 1) * winSize);
+      let inGap = false;
+      for (let i = 0; i < winSize; i++) {
+        if (Number.isNaN(frame[i])) {
+          inGap = true;
+          break;
+        }
+      }
+      if (inGap) {
+        rows[f] = null;
+        continue;
+      }
+      const psd = multitaperPsd(frame, fs, tapers, nfft, maxBin);
+      const row = new Float32Array(maxBin - minBin + 1);
+      for (let k = minBin; k <= maxBin; k++) {
+        row[k - minBin] = scale === "linear" ? psd[k] : 10 * Math.log10(psd[k] + 1e-30);
+      }
+      rows[f] = row;
+    }
+    return rows;
+  }
+
+  // ----------------- Overview spectrogram ---------------------------------
+
+  /**
+   * @typedef {Object} OverviewSpectrogram
+   * @property {string} channelName
+   * @property {number} stepSec - column spacing (= window length)
+   * @property {number} binHz - frequency spacing of the rows
+   * @property {number} maxBin - rows are bins 0..maxBin
+   * @property {Array<Float32Array|null>} columns - log10 power per bin,
+   *   null for windows touching a gap; columns not computed yet are undefined
+   * @property {number} done - columns computed so far
+   */
+
+  function yieldToUi() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Multitaper spectrogram of one channel over the whole recording, read
+   * chunk by chunk (paged files through LucidifyReadMontageRange) so the
+   * page stays responsive. The result object is filled in as it goes.
+   * @param {Recording} recording
+   * @param {number} chIndex
+   * @param {Object} [opts]
+   *   - onProgress(overview): after each chunk
+   *   - isCancelled(): stop early (the promise then resolves to null)
+   * @returns {Promise<OverviewSpectrogram|null>}
+   */
+  async function computeOverviewSpectrogram(recording, chIndex, opts = {}) {
+    const ch = recording.channels[chIndex];
+    const durationSec = recording.durationSec || 0;
+    const stepSec = Math.min(OVERVIEW_WINDOW_SEC, Math.max(1, durationSec / OVERVIEW_MIN_COLUMNS));
+    const nColumns = Math.floor(durationSec / stepSec);
+    const fs = Math.min(ch.fs, OVERVIEW_FS);
+    const N = Math.round(stepSec * fs);
+    const nfft = nextPow2(N);
+    const binHz = fs / nfft;
+    const maxBin = Math.min(nfft >> 1, Math.floor(Math.min(OVERVIEW_MAX_HZ, fs / 2) / binHz));
+    const tapers = dpss(N, OVERVIEW_NW, OVERVIEW_TAPERS);
+
+    const overview = {
+      channelName: ch.name,
+      stepSec,
+      binHz,
+      maxBin,
+      columns: new Array(nColumns),
+      done: 0
+    };
+    if (nColumns === 0 || N < 8) return overview;
+
+    const perChunk = Math.max(1, Math.floor(OVERVIEW_CHUNK_SEC / stepSec));
+    for (let c0 = 0; c0 < nColumns; c0 += perChunk) {
+      if (opts.isCancelled && opts.isCancelled()) return null;
+      const c1 = Math.min(nColumns, c0 + perChunk);
+      const t0 = c0 * stepSec;
+      const t1 = c1 * stepSec;
+
+      let samples;
+      let startSec;
+      if (recording.paged) {
+        const range = await root.LucidifyReadMontageRange(recording, t0, t1, [chIndex]);
+        if (opts.isCancelled && opts.isCancelled()) return null;
+        samples = range.channels[0].samples;
+        startSec = range.startSec;
+      } else {
+        const a = Math.max(0, Math.floor(t0 * ch.fs));
+        samples = ch.samples.subarray(a, Math.min(ch.samples.length, Math.ceil(t1 * ch.fs) + 1));
+        startSec = a / ch.fs;
+      }
+      if (fs !== ch.fs) samples = root.YASA_DSP._downsampleTo(samples, ch.fs, fs);
+
+      for (let c = c0; c < c1; c++) {
+        const a = Math.round((c * stepSec - startSec) * fs);
+        const seg = a >= 0 && a + N <= samples.length ? samples.subarray(a, a + N) : null;
+        let ok = !!seg;
+        for (let i = 0; ok && i < N; i++) if (Number.isNaN(seg[i])) ok = false;
+        if (!ok) {
+          overview.columns[c] = null;
+          continue;
+        }
+        const psd = multitaperPsd(seg, fs, tapers, nfft, maxBin);
+        const col = new Float32Array(maxBin + 1);
+        for (let k = 0; k <= maxBin; k++) col[k] = Math.log10(psd[k] + 1e-12);
+        overview.columns[c] = col;
+      }
+      overview.done = c1;
+      if (opts.onProgress) opts.onProgress(overview);
+      await yieldToUi();
+    }
+    return overview;
+  }
+
+  root.LucidifyNextPow2 = nextPow2;
+  root.LucidifyDpss = dpss;
+  root.LucidifyMultitaperPsd = multitaperPsd;
+  root.LucidifySpectrogramRows = spectrogramRows;
+  root.LucidifyComputeOverviewSpectrogram = computeOverviewSpectrogram;
+})();
@@ -25,6 +25,21 @@
   let editingFreqRef = { value: false };
   let freqRangeLabelRef = { value: null };
   let flipSecondChannelVertRef = { value: true };
+  // Seconds after midnight at t = 0, or null to label time as seconds from start
+  let clockOriginSecRef = { value: null };
+  // Map channel name -> display filter settings (display_filters.js)
+  let displayFiltersRef = { value: null };
+  // { mode: "auto" | "robust" | "fixed", uvPerDiv, channels: Map name ->
+  // { gain, uvPerDiv } }; null = auto
+  let amplitudeRef = { value: null };
+  // Name of the channel the gain keys act on (highlighted), or null
+  let selectedChannelRef = { value: null };
+  // Spectrogram settings (SPECTROGRAM_DEFAULTS keys) and colour limits:
+  // locked limits are read back, otherwise the ones used are written
+  let spectrogramParamsRef = { value: null };
+  let spectrogramLimitsRef = { value: null };
+  // Called when spectrogram frames computed in the background are ready
+  let spectrogramRedrawRef = { value: null };
 
   function bindViewState(opts) {
     maxViewSpanSecRef   = opts.maxViewSpanSecRef;
@@ -34,6 +49,26 @@
     editingFreqRef      = opts.editingFreqRef;
     freqRangeLabelRef   = opts.freqRangeLabelRef;
 	flipSecondChannelVertRef = opts.flipSecondChannelVertRef || flipSecondChannelVertRef;
+    clockOriginSecRef   = opts.clockOriginSecRef || clockOriginSecRef;
+    displayFiltersRef   = opts.displayFiltersRef || displayFiltersRef;
+    amplitudeRef        = opts.amplitudeRef || amplitudeRef;
+    selectedChannelRef  = opts.selectedChannelRef || selectedChannelRef;
+    spectrogramParamsRef = opts.spectrogramParamsRef || spectrogramParamsRef;
+    spectrogramLimitsRef = opts.spectrogramLimitsRef || spectrogramLimitsRef;
+    spectrogramRedrawRef = opts.spectrogramRedrawRef || spectrogramRedrawRef;
+  }
+
+  // canvas -> { startSec, windowSec, x0, drawW } (canvas px) of the last
+  // draw, so pointer positions can be turned back into time
+  const timeMaps = new WeakMap();
+
+  /**
+   * Time span and x range a view canvas showed when it was last drawn.
+   * @param {HTMLCanvasElement} canvas
+   * @returns {{ startSec: number, windowSec: number, x0: number, drawW: number }|null}
+   */
+  function timeMapOf(canvas) {
+    return timeMaps.get(canvas) || null;
   }
 
   function resizeCanvasToDisplaySize(canvas) {
@@ -44,12 +79,306 @@
     }
   }
 
+  // ----------------- Time axis -------------------------------------------
+
+  const TICK_STEPS_SEC = [
+    0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30,
+    60, 120, 300, 600, 900, 1800, 3600, 7200, 14400
+  ];
+
+  function pickTickStep(windowSec, drawW, minPx = 90) {
+    for (const step of TICK_STEPS_SEC) {
+      if ((step / windowSec) * drawW >= minPx) return step;
+    }
+    return TICK_STEPS_SEC[TICK_STEPS_SEC.length - 1];
+  }
+
+  function pad2(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  /**
+   * Format a recording time (s from file start) for labels: seconds from
+   * the start, or wall-clock HH:MM:SS when a clock origin is bound.
+   * @param {number} tSec
+   * @param {number} [resolutionSec] - finer than 1 s adds a decimal
+   */
+  function formatTime(tSec, resolutionSec = 1) {
+    const decimals = resolutionSec < 1 ? 1 : 0;
+    const origin = clockOriginSecRef.value;
+    if (origin == null || !Number.isFinite(origin)) {
+      return `${tSec.toFixed(decimals)} s`;
+    }
+
+    const scale = decimals ? 10 : 1;
+    const day = 86400 * scale;
+    let c = Math.floor((origin + tSec) * scale + 1e-6) % day;
+    if (c < 0) c += day;
+
+    const h = Math.floor(c / (3600 * scale));
+    const m = Math.floor((c % (3600 * scale)) / (60 * scale));
+    const sec = (c % (60 * scale)) / scale;
+    const ss = decimals ? sec.toFixed(1).padStart(4, "0") : pad2(sec);
+    return `${pad2(h)}:${pad2(m)}:${ss}`;
+  }
+
+  // Tick marks + labels along the bottom edge for [startSec, startSec +
+  // windowSec] drawn over x in [x0, x0 + drawW]. Clock ticks fall on
+  // round clock times.
+  function drawTimeAxis(ctx, x0, drawW, height, startSec, windowSec) {
+    if (!(windowSec > 0) || drawW <= 0) return;
+
+    const step = pickTickStep(windowSec, drawW);
+    const origin = clockOriginSecRef.value || 0;
+    const firstK = Math.ceil((startSec + origin) / step - 1e-9);
+    const lastK = Math.floor((startSec + windowSec + origin) / step + 1e-9);
+
+    ctx.save();
+    ctx.font = "10px system-ui";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    ctx.lineWidth = 1;
+
+    for (let k = firstK; k <= lastK; k++) {
+      const t = k * step - origin;
+      const x = Math.round(x0 + ((t - startSec) / windowSec) * drawW) + 0.5;
+
+      ctx.strokeStyle = "rgba(255,255,255,0.5)";
+      ctx.beginPath();
+      ctx.moveTo(x, height - 4);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+
+      const label = formatTime(t, step);
+      const w = ctx.measureText(label).width;
+      const xl = Math.min(Math.max(x, x0 + w / 2 + 2), x0 + drawW - w / 2 - 2);
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      ctx.fillRect(xl - w / 2 - 2, height - 17, w + 4, 13);
+      ctx.fillStyle = "#ccc";
+      ctx.fillText(label, xl, height - 5);
+    }
+    ctx.restore();
+  }
+
+  const EPOCH_SEC = 30; // scoring epochs, as in the hypnogram
+
+  // Second lines and epoch lines behind the waveform, with epoch numbers
+  // along the top: epoch n (1-based) is [(n - 1) * EPOCH_SEC, n * EPOCH_SEC)
+  // from the file start, the grid the hypnogram is staged on.
+  function drawTimeGrid(ctx, width, height, startSec, windowSec) {
+    if (!(windowSec > 0) || width <= 0) return;
+    const pxPerSec = width / windowSec;
+    const pxPerEpoch = EPOCH_SEC * pxPerSec;
+    const endSec = startSec + windowSec;
+    const xOf = (t) => Math.round((t - startSec) * pxPerSec) + 0.5;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    if (pxPerSec >= 6) {
+      ctx.strokeStyle = "rgba(255,255,255,0.07)";
+      ctx.beginPath();
+      for (let t = Math.ceil(startSec); t <= endSec; t++) {
+        if (t % EPOCH_SEC === 0) continue;
+        ctx.moveTo(xOf(t), 0);
+        ctx.lineTo(xOf(t), height);
+      }
+      ctx.stroke();
+    }
+
+    const e0 = Math.floor(startSec / EPOCH_SEC);
+    const e1 = Math.ceil(endSec / EPOCH_SEC);
+    if (pxPerEpoch >= 3) {
+      ctx.strokeStyle = "rgba(120,170,255,0.35)";
+      ctx.beginPath();
+      for (let e = Math.max(e0, 1); e <= e1; e++) {
+        const x = xOf(e * EPOCH_SEC);
+        if (x < 0 || x > width) continue;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+      }
+      ctx.stroke();
+    }
+
+    // Number every epoch, or every 2nd/5th/10th... when they are narrow
+    let every = 1;
+    for (const n of [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000]) {
+      every = n;
+      if (n * pxPerEpoch >= 40) break;
+    }
+    ctx.font = "10px system-ui";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let e = e0; e < e1; e++) {
+      if (e % every) continue;
+      const label = String(e + 1);
+      const w = ctx.measureText(label).width;
+      const x = Math.min(Math.max(xOf((e + 0.5) * EPOCH_SEC), w / 2 + 2), width - w / 2 - 2);
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      ctx.fillRect(x - w / 2 - 2, 1, w + 4, 12);
+      ctx.fillStyle = "rgba(150,190,255,0.9)";
+      ctx.fillText(label, x, 2);
+    }
+    ctx.restore();
+  }
+
   // ----------------- Waveform --------------------------------------------
 
+  // Sample window [startSample, startSample + windowSamples) of a channel
+  // for the view. Paged recordings (edf_paged_source.js) report their full
+  // length in ch.totalSamples while ch.samples holds only a window.
+  function viewSampleRange(ch, startSec, windowSec, spanSec) {
+    const fs = ch.fs || 256;
+    const total = ch.totalSamples != null ? ch.totalSamples : ch.samples.length;
+    const totalSpanSamples = Math.min(total, Math.floor(spanSec * fs));
+    const windowSamples = Math.min(Math.floor(windowSec * fs), totalSpanSamples);
+    const startSample = Math.min(Math.floor(startSec * fs), totalSpanSamples - windowSamples);
+    return { startSample, windowSamples };
+  }
+
+  // Loaded samples for a view range, or null when (part of) the range is
+  // not in ch.samples, which starts at ch.samplesStartSec.
+  function loadedSegment(ch, startSample, windowSamples) {
+    const offset = Math.round((ch.samplesStartSec || 0) * (ch.fs || 256));
+    const i0 = startSample - offset;
+    if (i0 < 0 || i0 + windowSamples > ch.samples.length) return null;
+    return ch.samples.subarray(i0, i0 + windowSamples);
+  }
+
+  // Coarsest min/max level (ch.minMaxLevels, { binSamples, min, max }) that
+  // still has at least two bins per pixel, or null.
+  function pickMinMaxLevel(ch, samplesPerPixel) {
+    let best = null;
+    for (const level of ch.minMaxLevels || []) {
+      if (level.binSamples * 2 <= samplesPerPixel &&
+          (!best || level.binSamples > best.binSamples)) {
+        best = level;
+      }
+    }
+    return best;
+  }
+
+  // Channel as the waveform draws it: a display-filtered copy when the
+  // channel has filter settings and the view range is loaded, else as is.
+  function displayChannel(ch, startSample, windowSamples) {
+    const filters = displayFiltersRef.value;
+    const settings = filters && filters.get(ch.name);
+    if (!settings || !window.LucidifyFilterChannelForDisplay) return ch;
+    const view = window.LucidifyFilterChannelForDisplay(ch, settings);
+    if (view !== ch && !view.minMaxLevels.length && !loadedSegment(view, startSample, windowSamples)) {
+      return ch; // paged and not loaded yet: unfiltered overview
+    }
+    return view;
+  }
+
+  // ----------------- Amplitude scaling -----------------------------------
+
+  const DIV_CSS_PX = 38; // one division: ~1 cm at 96 dpi
+  const ROBUST_LO = 0.005;
+  const ROBUST_HI = 0.995;
+  const UNIT_TO_MICROVOLT = { V: 1e6, mV: 1e3, uV: 1, "µV": 1, nV: 1e-3 };
+
+  function microvoltsPerUnit(physDim) {
+    return UNIT_TO_MICROVOLT[(physDim || "").trim()] || null;
+  }
+
+  // ch.samples -> { min, max }
+  const robustCache = new WeakMap();
+
+  // 0.5th-99.5th percentile of (a subsample of) the loaded samples, so a
+  // few artifact spikes do not set the scale
+  function robustRange(ch) {
+    const s = ch.samples;
+    let hit = robustCache.get(s);
+    if (hit) return hit;
+
+    const step = Math.max(1, Math.floor(s.length / 50000));
+    const vals = [];
+    for (let i = 0; i < s.length; i += step) {
+      if (Number.isFinite(s[i])) vals.push(s[i]);
+    }
+    if (vals.length < 2) return { min: ch.displayMin, max: ch.displayMax };
+    vals.sort((a, b) => a - b);
+    hit = {
+      min: vals[Math.floor(ROBUST_LO * (vals.length - 1))],
+      max: vals[Math.ceil(ROBUST_HI * (vals.length - 1))],
+    };
+    robustCache.set(s, hit);
+    return hit;
+  }
+
+  // Largest 1-2-5 step not above `x`
+  function niceStep(x) {
+    const p = Math.pow(10, Math.floor(Math.log10(x)));
+    const m = x / p;
+    return (m >= 5 ? 5 : m >= 2 ? 2 : 1) * p;
+  }
+
+  /**
+   * Vertical mapping of one channel row: a value v is drawn at
+   * yMid - (v - center) * scale. Fixed mode uses µV/div (voltage channels
+   * only; others autoscale); auto and robust fit the file-wide or
+   * percentile range to the row, times the channel gain.
+   * @returns {{ center, scale, barValue, barUnit }} scale bar: barValue
+   *   units tall
+   */
+  function channelAmplitude(ch, rowHeight, padding, pxPerDiv) {
+    const amp = amplitudeRef.value || {};
+    const per = (amp.channels && amp.channels.get(ch.name)) || {};
+    const uvPerUnit = microvoltsPerUnit(ch.physDim);
+
+    if (amp.mode === "fixed" && uvPerUnit && ch.samples.length) {
+      const uvPerDiv = per.uvPerDiv || amp.uvPerDiv || 50;
+      const r = robustRange(ch);
+      return {
+        center: Number.isFinite(r.min) ? (r.min + r.max) / 2 : 0,
+        scale: (pxPerDiv * uvPerUnit) / uvPerDiv,
+        barValue: uvPerDiv,
+        barUnit: "µV",
+      };
+    }
+
+    let { displayMin: minV, displayMax: maxV } = ch;
+    if (amp.mode === "robust" && ch.samples.length) {
+      ({ min: minV, max: maxV } = robustRange(ch));
+    }
+    if (!Number.isFinite(minV) || !Number.isFinite(maxV) || minV === maxV) {
+      minV = -1;
+      maxV = 1;
+    }
+
+    const halfRange = Math.max((maxV - minV) / 2, 1e-6);
+    const scale = ((rowHeight / 2 - padding) / halfRange) * (per.gain || 1);
+    return {
+      center: 0.5 * (maxV + minV),
+      scale,
+      barValue: niceStep((rowHeight * 0.4) / scale),
+      barUnit: (ch.physDim || "").trim(),
+    };
+  }
+
+  // Calibration bar at the right edge of a channel row
+  function drawScaleBar(ctx, x, yMid, px, label) {
+    const y0 = Math.round(yMid - px / 2) + 0.5;
+    const y1 = Math.round(yMid + px / 2) + 0.5;
+    ctx.strokeStyle = "#6c6";
+    ctx.beginPath();
+    ctx.moveTo(x - 3, y0);
+    ctx.lineTo(x + 0.5, y0);
+    ctx.lineTo(x + 0.5, y1);
+    ctx.lineTo(x - 3, y1);
+    ctx.stroke();
+    ctx.fillStyle = "#6c6";
+    ctx.textAlign = "right";
+    ctx.fillText(label, x - 5, yMid + 3);
+    ctx.textAlign = "left";
+  }
+
   function drawWaveform(ctx, canvas, recording, visible) {
     resizeCanvasToDisplaySize(canvas);
 
     const { channels, durationSec } = recording;
+    timeMaps.delete(canvas);
     if (!channels || channels.length === 0) {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       return;
@@ -77,32 +406,38 @@
     const nChannels = indices.length;
     const channelHeight = height / nChannels;
     const padding = 4;
+    // divisions are CSS-sized; the canvas may be stretched vertically
+    const cssHeight = canvas.getBoundingClientRect().height;
+    const pxPerDiv = cssHeight > 0 ? (DIV_CSS_PX * height) / cssHeight : DIV_CSS_PX;
 
     ctx.fillStyle = "#111";
     ctx.fillRect(0, 0, width, height);
     ctx.lineWidth = 1;
+    timeMaps.set(canvas, { startSec, windowSec, x0: 0, drawW: width });
+
+    drawGaps(ctx, recording.gaps, startSec, windowSec, 0, width, height);
+    drawTimeGrid(ctx, width, height, startSec, windowSec);
 
     for (let ci = 0; ci < nChannels; ci++) {
       const chIndex = indices[ci];
-      const ch = channels[chIndex];
-      const samples = ch.samples;
-      const fs = ch.fs || 256;
 
-      const totalSpanSamples = Math.min(samples.length, Math.floor(spanSec * fs));
-      const windowSamples = Math.min(Math.floor(windowSec * fs), totalSpanSamples);
-      const startSample = Math.min(Math.floor(startSec * fs), totalSpanSamples - windowSamples);
+      const { startSample, windowSamples } =
+        viewSampleRange(channels[chIndex], startSec, windowSec, spanSec);
 
       if (windowSamples <= 0) continue;
 
-      const seg = samples.subarray(startSample, startSample + windowSamples);
-      const nSamples = seg.length;
+      const ch = displayChannel(channels[chIndex], startSample, windowSamples);
+      const seg = loadedSegment(ch, startSample, windowSamples);
+      const nSamples = windowSamples;
+      const level = pickMinMaxLevel(ch, nSamples / width);
 
       const yTop = ci * channelHeight;
       const yMid = yTop + channelHeight / 2;
 
-      ctx.fillStyle = "#aaa";
+      const selected = selectedChannelRef.value != null && ch.name === selectedChannelRef.value;
+      ctx.fillStyle = selected ? "#fff" : "#aaa";
       ctx.font = "10px system-ui";
-      ctx.fillText(ch.name || `Ch ${chIndex + 1}`, 5, yTop + 12);
+      ctx.fillText((selected ? "▸ " : "") + (ch.name || `Ch ${chIndex + 1}`), 5, yTop + 12);
 
       ctx.strokeStyle = "#333";
       ctx.beginPath();
@@ -110,22 +445,53 @@
       ctx.lineTo(width, yMid);
       ctx.stroke();
 
-      let minV = ch.displayMin;
-      let maxV = ch.displayMax;
-      if (!Number.isFinite(minV) || !Number.isFinite(maxV) || minV === maxV) {
-        minV = -1;
-        maxV = 1;
+      const { center, scale, barValue, barUnit } =
+        channelAmplitude(ch, channelHeight, padding, pxPerDiv);
+      if (barValue > 0 && Number.isFinite(barValue)) {
+        drawScaleBar(ctx, width - 8, yMid, barValue * scale,
+                     `${+barValue.toPrecision(3)} ${barUnit}`.trim());
       }
 
-      const center = 0.5 * (maxV + minV);
-      const halfRange = Math.max((maxV - minV) / 2, 1e-6);
-      const scale = (channelHeight / 2 - padding) / halfRange;
-
       const samplesPerPixel = nSamples / width;
 
+      if (!seg && !level) {
+        // paged recording: window not fetched yet, no overview yet (derived
+        // montage channels never get one, they need the raw window)
+        ctx.fillStyle = "#666";
+        if (ch.derivation && recording.paged && windowSec > recording.paged.maxWindowSec) {
+          ctx.fillText(`Zoom in to ${Math.floor(recording.paged.maxWindowSec / 60)} min or less`,
+                       width / 2 - 60, yMid - 4);
+        } else {
+          ctx.fillText("loading…", width / 2 - 20, yMid - 4);
+        }
+        continue;
+      }
+
       ctx.strokeStyle = "#aaa";
       ctx.beginPath();
 
+      if (level) {
+        // Min/max summary bins instead of raw samples (zoomed out)
+        for (let x = 0; x < width; x++) {
+          const b0 = Math.floor((startSample + x * samplesPerPixel) / level.binSamples);
+          const b1 = Math.max(b0 + 1,
+            Math.floor((startSample + (x + 1) * samplesPerPixel) / level.binSamples));
+
+          let localMin = Infinity;
+          let localMax = -Infinity;
+          for (let b = b0; b < b1 && b < level.min.length; b++) {
+            if (level.min[b] < localMin) localMin = level.min[b];
+            if (level.max[b] > localMax) localMax = level.max[b];
+          }
+          if (!Number.isFinite(localMin) || !Number.isFinite(localMax)) continue;
+
+          ctx.moveTo(x + 0.5, yMid - (localMax - center) * scale);
+          ctx.lineTo(x + 0.5, yMid - (localMin - center) * scale);
+        }
+        ctx.stroke();
+        continue;
+      }
+
       for (let x = 0; x < width; x++) {
         const sampleStart = Math.floor(x * samplesPerPixel);
         const sampleEnd = Math.floor((x + 1) * samplesPerPixel);
@@ -149,57 +515,58 @@
 
       ctx.stroke();
     }
-  }
 
-  // ----------------- Spectrogram helpers ---------------------------------
+    drawTimeAxis(ctx, 0, width, height, startSec, windowSec);
+  }
 
-  function hannWindow(N) {
-    const w = new Float32Array(N);
-    for (let i = 0; i < N; i++) {
-      w[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (N - 1)));
+  // EDF+D gaps: shade the parts of [startSec, startSec + windowSec] that
+  // have no recorded data, mapped onto x in [x0, x0 + drawW].
+  function drawGaps(ctx, gaps, startSec, windowSec, x0, drawW, height) {
+    if (!gaps || !gaps.length || windowSec <= 0) return;
+    const endSec = startSec + windowSec;
+    const pxPerSec = drawW / windowSec;
+
+    ctx.save();
+    for (const g of gaps) {
+      if (g.endSec <= startSec || g.startSec >= endSec) continue;
+      const xa = x0 + (Math.max(g.startSec, startSec) - startSec) * pxPerSec;
+      const xb = x0 + (Math.min(g.endSec, endSec) - startSec) * pxPerSec;
+      ctx.fillStyle = "#23232e";
+      ctx.fillRect(xa, 0, Math.max(1, xb - xa), height);
+      if (xb - xa > 40) {
+        ctx.fillStyle = "#777";
+        ctx.font = "10px system-ui";
+        ctx.textAlign = "center";
+        ctx.fillText("gap", (xa + xb) / 2, height / 2);
+      }
     }
-    return w;
+    ctx.restore();
   }
 
-  function fftRadix2(re, im) {
-    const n = re.length;
-    if (n !== im.length) throw new Error("re/im length mismatch");
-    const levels = Math.log2(n) | 0;
-    if (1 << levels !== n) throw new Error("FFT length must be power of 2");
+  // ----------------- Spectrogram helpers ---------------------------------
 
-    for (let i = 0; i < n; i++) {
-      let j = 0;
-      for (let k = 0; k < levels; k++) {
-        j = (j << 1) | ((i >> k) & 1);
-      }
-      if (j > i) {
-        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
-        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
-      }
-    }
+  /**
+   * @typedef {Object} SpectrogramParams
+   * @property {number} windowSec - FFT window length
+   * @property {number} overlap - 0..<1 fraction of the window
+   * @property {string} taper - "hann" | "hamming" | "blackman" | "rect" | "multitaper"
+   * @property {number} nw - time-half-bandwidth product (multitaper; 2NW-1 tapers)
+   * @property {string} scale - "db" | "linear" (power spectral density)
+   * @property {number} minHz
+   * @property {string} colormap - key of COLORMAPS
+   * @property {boolean} lockLimits - keep the colour limits of spectrogramLimitsRef
+   */
+  const SPECTROGRAM_DEFAULTS = {
+    windowSec: 2,
+    overlap: 0.75,
+    taper: "hann",
+    nw: 3,
+    scale: "db",
+    minHz: 0,
+    colormap: "hotcold",
+    lockLimits: false,
+  };
 
-    for (let size = 2; size <= n; size <<= 1) {
-      const half = size >> 1;
-      const step = (2 * Math.PI) / size;
-      for (let i = 0; i < n; i += size) {
-        for (let j = 0; j < half; j++) {
-          const k = i + j;
-          const l = k + half;
-          const angle = step * j;
-          const cos = Math.cos(angle);
-          const sin = Math.sin(angle);
-
-          const tre = cos * re[l] - sin * im[l];
-          const tim = sin * re[l] + cos * im[l];
-
-          re[l] = re[k] - tre;
-          im[l] = im[k] - tim;
-          re[k] += tre;
-          im[k] += tim;
-        }
-      }
-    }
-  }
 function robustMinMaxFromSpecs(specs, framesPerChannel, maxBin, loP = 0.02, hiP = 0.98) {
   const samples = [];
   for (let ci = 0; ci < specs.length; ci++) {
@@ -213,6 +580,7 @@ function robustMinMaxFromSpecs(specs, framesPerChannel, maxBin, loP = 0.02, hiP
 
     for (let f = 0; f < nFrames; f += frameStep) {
       const row = specRows[f];
+      if (!row) continue; // gap frame
       for (let k = 0; k <= maxBin; k += freqStep) {
         const v = row[k];
         if (Number.isFinite(v)) samples.push(v);
@@ -258,10 +626,36 @@ function robustMinMaxFromSpecs(specs, framesPerChannel, maxBin, loP = 0.02, hiP
     return [r, g, b];
   }
 
+  // Colour maps other than hot/cold: evenly spaced RGB anchors, linearly
+  // interpolated (viridis and inferno sampled from matplotlib)
+  const COLORMAPS = {
+    viridis: [[68, 1, 84], [71, 44, 122], [59, 81, 139], [44, 113, 142], [33, 144, 141],
+              [39, 173, 129], [92, 200, 99], [170, 220, 50], [253, 231, 37]],
+    inferno: [[0, 0, 4], [31, 12, 72], [85, 15, 109], [136, 34, 106], [186, 54, 85],
+              [227, 89, 51], [249, 140, 10], [249, 201, 50], [252, 255, 164]],
+    gray: [[0, 0, 0], [255, 255, 255]],
+  };
+
+  function colormapColor(name, norm) {
+    const anchors = COLORMAPS[name];
+    if (!anchors) return hotColdColor(norm);
+    const t = Math.max(0, Math.min(1, norm)) * (anchors.length - 1);
+    const i = Math.min(anchors.length - 2, Math.floor(t));
+    const u = t - i;
+    const a = anchors[i];
+    const b = anchors[i + 1];
+    return [
+      Math.round(a[0] + (b[0] - a[0]) * u),
+      Math.round(a[1] + (b[1] - a[1]) * u),
+      Math.round(a[2] + (b[2] - a[2]) * u),
+    ];
+  }
+
   function drawSpectrogram(ctx, canvas, recording, visible) {
     resizeCanvasToDisplaySize(canvas);
 
     const { channels, durationSec } = recording;
+    timeMaps.delete(canvas);
     if (!channels || channels.length === 0) {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       return;
@@ -303,99 +697,118 @@ const data = imageData.data;
     const nChannels = Math.min(indices.length, maxChannelsToDraw);
     const channelHeight = height / nChannels;
 
-    const winSize = 512;
-    const hop = winSize >> 2;
-    const nFreq = winSize >> 1;
-    const window = hannWindow(winSize);
+    const params = Object.assign({}, SPECTROGRAM_DEFAULTS, spectrogramParamsRef.value);
+
+    // Frequency band, from the first channel's rate (as the labels)
+    const fsForLabel = channels[indices[0]].fs || 256;
+    const nyquist = fsForLabel / 2;
+    if (spectrogramMaxHz === null || !Number.isFinite(spectrogramMaxHz) || spectrogramMaxHz <= 0) {
+      spectrogramMaxHz = nyquist;
+    } else if (spectrogramMaxHz > nyquist) {
+      spectrogramMaxHz = nyquist;
+    }
+    spectrogramMaxHzRef.value = spectrogramMaxHz;
+    const effectiveMaxHz = spectrogramMaxHz;
+    const minHz = params.minHz > 0 && params.minHz < effectiveMaxHz ? params.minHz : 0;
 
+    // specs[ci][f] = the f-th drawn frame of that channel: values for bins
+    // minBin..maxBin, null in a gap, undefined while still being computed
     const specs = new Array(nChannels);
     const framesPerChannel = new Array(nChannels);
-    let globalMin = Infinity;
-    let globalMax = -Infinity;
-    let fsForLabel = null;
+    const frameCache = window.LucidifySpectrogramFrames;
+    const nextPow2 = window.LucidifyNextPow2; // multitaper.js
+    let maxRowLen = 0;
+    let haveRows = false;
+    let pending = false;
 
     for (let ci = 0; ci < nChannels; ci++) {
       const chIndex = indices[ci];
       const ch = channels[chIndex];
       const fs = ch.fs || 256;
-      const samples = ch.samples;
-
-      if (fsForLabel == null && fs > 0) fsForLabel = fs;
 
-      const totalSpanSamples = Math.min(samples.length, Math.floor(spanSec * fs));
-      const windowSamples = Math.min(Math.floor(windowSec * fs), totalSpanSamples);
-      const startSample = Math.min(Math.floor(startSec * fs), totalSpanSamples - windowSamples);
-
-      if (windowSamples < winSize + 1) {
+      const winSize = Math.max(8, Math.round(params.windowSec * fs));
+      const hop = Math.max(1, Math.round(winSize * (1 - params.overlap)));
+      const nfft = nextPow2(winSize);
+      const binHz = fs / nfft;
+      const maxBin = Math.max(1, Math.min(nfft >> 1, Math.floor(effectiveMaxHz / binHz)));
+      const minBin = Math.min(maxBin, Math.ceil(minHz / binHz));
+      const plan = {
+        fs, winSize, hop, nfft, minBin, maxBin,
+        taper: params.taper, nw: params.nw, scale: params.scale,
+      };
+
+      // Frames sit on a grid from the channel start (frame j at sample
+      // j * hop) so pans reuse them; long views draw every stride-th frame,
+      // a power of two so zooming out reuses the finer grid
+      const { startSample, windowSamples } = viewSampleRange(ch, startSec, windowSec, spanSec);
+      const jFirst = Math.ceil(startSample / hop);
+      const jLast = Math.floor((startSample + windowSamples - winSize) / hop);
+      const stride = nextPow2(Math.ceil((jLast - jFirst + 1) / drawW));
+      const j0 = Math.ceil(jFirst / stride) * stride;
+      const nFrames = jLast >= j0 ? Math.floor((jLast - j0) / stride) + 1 : 0;
+
+      if (nFrames === 0) {
         specs[ci] = null;
         framesPerChannel[ci] = 0;
         continue;
       }
 
-      const segment = samples.subarray(startSample, startSample + windowSamples);
-      const nFrames = Math.floor((segment.length - winSize) / hop) + 1;
-      framesPerChannel[ci] = nFrames;
-
-      const re = new Float32Array(winSize);
-      const im = new Float32Array(winSize);
+      // paged channels: only the loaded window can be computed, cached
+      // frames elsewhere still draw
+      const segment = loadedSegment(ch, startSample, windowSamples);
+      const cached = frameCache.cachedRows(ch, plan);
       const specRows = new Array(nFrames);
-
+      const missing = [];
       for (let f = 0; f < nFrames; f++) {
-        const offset = f * hop;
-        for (let i = 0; i < winSize; i++) {
-          const v = segment[offset + i] || 0;
-          re[i] = v * window[i];
-          im[i] = 0;
-        }
-        fftRadix2(re, im);
-
-        const row = new Float32Array(nFreq);
-        for (let k = 0; k < nFreq; k++) {
-          const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
-          const val = Math.log10(mag + 1e-6);
-          row[k] = val;
-          if (val < globalMin) globalMin = val;
-          if (val > globalMax) globalMax = val;
+        const j = j0 + f * stride;
+        if (cached.has(j)) {
+          specRows[f] = cached.get(j);
+          haveRows = true;
+        } else if (segment) {
+          const i0 = j * hop - startSample;
+          missing.push({ j, samples: segment.subarray(i0, i0 + winSize) });
         }
-        specRows[f] = row;
+      }
+      if (missing.length) {
+        pending = true;
+        frameCache.requestFrames(ch, plan, missing, () => spectrogramRedrawRef.value?.());
       }
 
       specs[ci] = specRows;
+      framesPerChannel[ci] = nFrames;
+      maxRowLen = Math.max(maxRowLen, maxBin - minBin + 1);
     }
 
-    if (!Number.isFinite(globalMin) || !Number.isFinite(globalMax) || globalMin === globalMax) {
+    if (!haveRows) {
       ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = "#888";
+      ctx.font = "12px system-ui";
+      if (pending) {
+        ctx.fillText("Computing spectrogram…", xOffset + 10, height / 2);
+      } else if (recording.paged) {
+        // paged recordings keep raw samples only for short enough views
+        ctx.fillText(
+          `Zoom in to ${Math.floor(recording.paged.maxWindowSec / 60)} min or less for the spectrogram`,
+          xOffset + 10, height / 2);
+      }
       return;
     }
 
-    if (!fsForLabel) fsForLabel = 256;
-    const nyquist = fsForLabel / 2;
-
-    if (spectrogramMaxHz === null || !Number.isFinite(spectrogramMaxHz) || spectrogramMaxHz <= 0) {
-      spectrogramMaxHz = nyquist;
-    } else if (spectrogramMaxHz > nyquist) {
-      spectrogramMaxHz = nyquist;
-    }
-    spectrogramMaxHzRef.value = spectrogramMaxHz;
-
     if (!editingFreq && freqRangeLabel) {
-      freqRangeLabel.textContent = `Freq: 0–${spectrogramMaxHz.toFixed(1)} Hz`;
+      freqRangeLabel.textContent = `Freq: ${minHz.toFixed(1)}–${spectrogramMaxHz.toFixed(1)} Hz`;
     }
 
-    const effectiveMaxHz = spectrogramMaxHz;
-    const maxBin = Math.max(
-      1,
-      Math.min(
-        nFreq - 1,
-        Math.floor((effectiveMaxHz / nyquist) * (nFreq - 1))
-      )
-    );
-// After maxBin is computed:
-const [scaleMin, scaleMax] = robustMinMaxFromSpecs(specs, framesPerChannel, maxBin, 0.02, 0.98);
-const invRange = 1 / Math.max(1e-9, (scaleMax - scaleMin));
+    // Colour limits: locked ones, else robust (2-98 %) over the view
+    let limits = spectrogramLimitsRef.value;
+    if (!params.lockLimits || !limits) {
+      limits = robustMinMaxFromSpecs(specs, framesPerChannel, maxRowLen - 1, 0.02, 0.98);
+      spectrogramLimitsRef.value = limits;
+    }
+    const [scaleMin, scaleMax] = limits;
+    const invRange = 1 / Math.max(1e-30, (scaleMax - scaleMin));
 
 // Optional: gamma > 1 darkens mid-tones (less green), gamma < 1 brightens them
-const gamma = 1.4;
+const gamma = params.colormap === "hotcold" ? 1.4 : 1;
 
     for (let ci = 0; ci < nChannels; ci++) {
       const specRows = specs[ci];
@@ -404,6 +817,7 @@ const gamma = 1.4;
 
       const yStart = Math.floor(ci * channelHeight);
       const chHeight = Math.floor(channelHeight);
+      const nBins = specRows.find((row) => row)?.length || 1;
 
       for (let yLocal = 0; yLocal < chHeight; yLocal++) {
         const y = yStart + yLocal;
@@ -414,7 +828,7 @@ const gamma = 1.4;
 
 		// Normal: top=high (your current behavior). Flipped: top=low (second channel only).
 		const freqFrac = (flipSecondChannelVert && ci === 1) ? frac01 : (1 - frac01);
-		const freqIndex = Math.min(maxBin, Math.floor(freqFrac * maxBin));
+		const freqIndex = Math.min(nBins - 1, Math.floor(freqFrac * nBins));
 
 for (let x = 0; x < width; x++) {
 
@@ -430,18 +844,29 @@ for (let x = 0; x < width; x++) {
 
   const tFrac = (x - xOffset) / Math.max(1, drawW - 1);
   const frameIndex = Math.min(nFrames - 1, Math.floor(tFrac * nFrames));
-  const val = specRows[frameIndex][freqIndex];
+  const row = specRows[frameIndex];
+  if (!row) {
+    // gap, or not computed yet (darker)
+    const shade = row === null ? [35, 35, 46] : [17, 17, 17];
+    const idx = (y * width + x) * 4;
+    data[idx + 0] = shade[0];
+    data[idx + 1] = shade[1];
+    data[idx + 2] = shade[2];
+    data[idx + 3] = 255;
+    continue;
+  }
+  const val = row[freqIndex];
 
   let norm = (val - scaleMin) * invRange;
   norm = Math.max(0, Math.min(1, norm));
-  norm = Math.pow(norm, gamma);
+  if (gamma !== 1) norm = Math.pow(norm, gamma);
   if (!Number.isFinite(norm)) norm = 0;
 
   let r, g, b;
   if (norm > 1.0) {
     r = g = b = 255;
   } else {
-    [r, g, b] = hotColdColor(norm);
+    [r, g, b] = colormapColor(params.colormap, norm);
   }
 
   const idx = (y * width + x) * 4;
@@ -467,8 +892,8 @@ for (let ci = 0; ci < nChannels; ci++) {
   const isFlipped = (flipSecondChannelVert && ci === 1);
 
   // Labels reflect what's actually at the top/bottom of the image
-  const topHz = isFlipped ? 0 : effectiveMaxHz;
-  const botHz = isFlipped ? effectiveMaxHz : 0;
+  const topHz = isFlipped ? minHz : effectiveMaxHz;
+  const botHz = isFlipped ? effectiveMaxHz : minHz;
 
   ctx.textBaseline = "top";
   ctx.fillText(`${topHz.toFixed(0)} Hz`, xOffset - 2, yStart + 2);
@@ -479,6 +904,125 @@ for (let ci = 0; ci < nChannels; ci++) {
 
 ctx.restore();
 
+    drawTimeAxis(ctx, xOffset, drawW, height, startSec, windowSec);
+    timeMaps.set(canvas, { startSec, windowSec, x0: xOffset, drawW });
+  }
+
+  // ----------------- Overview spectrogram --------------------------------
+
+  // overview -> { done, width, height, image } so moving the view rectangle
+  // only repaints the cached image
+  const overviewImages = new WeakMap();
+
+  function overviewImage(ctx, overview, durationSec, xOffset, width, height) {
+    const hit = overviewImages.get(overview);
+    if (hit && hit.done === overview.done && hit.width === width && hit.height === height) {
+      return hit.image;
+    }
+
+    const { columns, stepSec, maxBin } = overview;
+    const [lo, hi] = robustMinMaxFromSpecs([columns], [overview.done], maxBin, 0.02, 0.98);
+    const invRange = 1 / Math.max(1e-9, hi - lo);
+    const drawW = Math.max(1, width - xOffset);
+
+    // pixel row -> bins averaged into it (top row = maxBin)
+    const rowBins = new Array(height);
+    for (let y = 0; y < height; y++) {
+      const b0 = Math.floor(((height - 1 - y) / height) * (maxBin + 1));
+      const b1 = Math.max(b0 + 1, Math.floor(((height - y) / height) * (maxBin + 1)));
+      rowBins[y] = [b0, Math.min(b1, maxBin + 1)];
+    }
+
+    const image = ctx.createImageData(width, height);
+    const data = image.data;
+    for (let x = 0; x < width; x++) {
+      let col;
+      if (x >= xOffset) {
+        const t = ((x - xOffset) / drawW) * durationSec;
+        col = columns[Math.floor(t / stepSec)];
+      }
+      for (let y = 0; y < height; y++) {
+        const idx = (y * width + x) * 4;
+        data[idx + 3] = 255;
+        if (x < xOffset) continue; // label gutter
+        if (!col) {
+          // gap (null) or not computed yet (undefined)
+          const c = col === null ? 35 : 17;
+          data[idx] = c; data[idx + 1] = c; data[idx + 2] = col === null ? 46 : c;
+          continue;
+        }
+        const [b0, b1] = rowBins[y];
+        let v = 0;
+        for (let b = b0; b < b1; b++) v += col[b];
+        v /= b1 - b0;
+        const [r, g, bl] = hotColdColor(Math.pow(Math.max(0, Math.min(1, (v - lo) * invRange)), 1.4));
+        data[idx] = r; data[idx + 1] = g; data[idx + 2] = bl;
+      }
+    }
+
+    overviewImages.set(overview, { done: overview.done, width, height, image });
+    return image;
+  }
+
+  /**
+   * Whole-recording spectrogram (multitaper.js) with the current view
+   * drawn as a rectangle on it. Partly computed overviews draw what is
+   * there; `overview` null draws `message` instead.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {HTMLCanvasElement} canvas
+   * @param {Recording} recording
+   * @param {OverviewSpectrogram|null} overview
+   * @param {string} [message]
+   */
+  function drawOverviewSpectrogram(ctx, canvas, recording, overview, message = "") {
+    resizeCanvasToDisplaySize(canvas);
+    const width = canvas.width;
+    const height = canvas.height;
+    const durationSec = recording?.durationSec || 0;
+    const xOffset = 34; // same label gutter as the detail spectrogram
+    const drawW = Math.max(1, width - xOffset);
+    timeMaps.delete(canvas);
+
+    ctx.fillStyle = "#111";
+    ctx.fillRect(0, 0, width, height);
+    if (!recording || !(durationSec > 0)) return;
+
+    if (overview && overview.columns.length) {
+      ctx.putImageData(overviewImage(ctx, overview, durationSec, xOffset, width, height), 0, 0);
+
+      ctx.save();
+      ctx.fillStyle = "#fff";
+      ctx.font = "10px system-ui";
+      ctx.textAlign = "right";
+      ctx.textBaseline = "top";
+      ctx.fillText(`${(overview.maxBin * overview.binHz).toFixed(0)} Hz`, xOffset - 2, 2);
+      ctx.textBaseline = "bottom";
+      ctx.fillText("0 Hz", xOffset - 2, height - 2);
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      ctx.fillText(overview.channelName, xOffset + 4, 2);
+      ctx.restore();
+    }
+    if (message) {
+      ctx.fillStyle = "#888";
+      ctx.font = "12px system-ui";
+      ctx.fillText(message, xOffset + 10, height / 2);
+    }
+
+    drawTimeAxis(ctx, xOffset, drawW, height, 0, durationSec);
+    timeMaps.set(canvas, { startSec: 0, windowSec: durationSec, x0: xOffset, drawW });
+
+    // current view
+    const spanSec = Math.min(durationSec, maxViewSpanSecRef.value);
+    const windowSec = Math.min(viewDurationSecRef.value, spanSec);
+    const startSec = Math.min(viewStartSecRef.value, Math.max(0, spanSec - windowSec));
+    const x = xOffset + (startSec / durationSec) * drawW;
+    const w = Math.max(3, (windowSec / durationSec) * drawW);
+    ctx.fillStyle = "rgba(255,255,255,0.15)";
+    ctx.fillRect(x, 0, w, height);
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(Math.round(x) + 0.5, 0.5, Math.round(w) - 1, height - 1);
   }
 
   // Export
@@ -486,4 +1030,9 @@ ctx.restore();
   window.LucidifyResizeCanvasToDisplaySize = resizeCanvasToDisplaySize;
   window.LucidifyDrawWaveform = drawWaveform;
   window.LucidifyDrawSpectrogram = drawSpectrogram;
+  window.LucidifyDrawOverviewSpectrogram = drawOverviewSpectrogram;
+  window.LucidifySpectrogramDefaults = SPECTROGRAM_DEFAULTS;
+  window.LucidifyFormatTime = formatTime;
+  window.LucidifyDrawTimeAxis = drawTimeAxis;
+  window.LucidifyTimeMapOf = timeMapOf;
 })();
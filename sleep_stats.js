@@ -0,0 +1,167 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Sleep architecture statistics (AASM terms) of a hypnogram given as one
+  // stage per epoch ("W", "N1", "N2", "N3", "REM"; anything else, e.g. null
+  // for gaps or "ART", is unscorable and counts in no stage).
+  //
+  // Time in bed is the span from the first to the last scored epoch (there
+  // are no lights-off/on markers). Sleep onset is the first sleep epoch.
+  // WASO is wake after sleep onset up to the end of that span, awakenings
+  // are the wake bouts in it. A NREM/REM cycle ends with a REM period after
+  // at least 15 min of NREM sleep since the previous one.
+
+  const STAGES = ["W", "N1", "N2", "N3", "REM"];
+  const SLEEP = new Set(["N1", "N2", "N3", "REM"]);
+  const NREM = new Set(["N1", "N2", "N3"]);
+  const CYCLE_MIN_NREM_MIN = 15;
+
+  /**
+   * @typedef {Object} SleepStats
+   * @property {number} tibMin - time in bed
+   * @property {number} tstMin - total sleep time
+   * @property {number|null} sePct - sleep efficiency, TST / TIB
+   * @property {number|null} solMin - sleep onset latency (null: no sleep)
+   * @property {number|null} remLatencyMin - sleep onset to first REM
+   * @property {number} wasoMin
+   * @property {number} awakenings
+   * @property {Object<string, number>} stageMin - minutes per stage
+   * @property {Object<string, number|null>} stagePct - sleep stages: % of TST, W: % of TIB
+   * @property {Object<string, number>} transitions - "N2>N3" -> count
+   * @property {number} transitionCount
+   * @property {number} cycles
+   */
+
+  /**
+   * @param {Array<string|null>} stages
+   * @param {number} [epochSec]
+   * @returns {SleepStats}
+   */
+  function sleepStatistics(stages, epochSec = 30) {
+    const epochMin = epochSec / 60;
+    const scored = (s) => STAGES.includes(s);
+
+    let first = stages.findIndex(scored);
+    let last = -1;
+    for (let e = stages.length - 1; e >= 0; e--) {
+      if (scored(stages[e])) { last = e; break; }
+    }
+    if (first < 0) first = last = -1;
+
+    const tibMin = first < 0 ? 0 : (last - first + 1) * epochMin;
+    const stageMin = Object.fromEntries(STAGES.map((s) => [s, 0]));
+    const transitions = {};
+    let transitionCount = 0;
+    let onset = -1;
+    let firstRem = -1;
+    let wasoEpochs = 0;
+    let awakenings = 0;
+    let cycles = 0;
+    let nremSinceRemMin = 0;
+    let prev = null;
+
+    for (let e = first; e >= 0 && e <= last; e++) {
+      const s = stages[e];
+      if (!scored(s)) {
+        prev = null; // no transition across unscorable epochs
+        continue;
+      }
+      stageMin[s] += epochMin;
+      if (onset < 0 && SLEEP.has(s)) onset = e;
+
+      if (onset >= 0) {
+        if (s === "W") {
+          wasoEpochs++;
+          if (prev !== "W") awakenings++;
+        } else if (NREM.has(s)) {
+          nremSinceRemMin += epochMin;
+        } else if (s === "REM") {
+          if (firstRem < 0) firstRem = e;
+          if (nremSinceRemMin >= CYCLE_MIN_NREM_MIN) cycles++;
+          nremSinceRemMin = 0;
+        }
+      }
+
+      if (prev && prev !== s) {
+        const key = `${prev}>${s}`;
+        transitions[key] = (transitions[key] || 0) + 1;
+        transitionCount++;
+      }
+      prev = s;
+    }
+
+    const tstMin = stageMin.N1 + stageMin.N2 + stageMin.N3 + stageMin.REM;
+    const pct = (v, of) => (of > 0 ? (100 * v) / of : null);
+    const stagePct = Object.fromEntries(STAGES.map((s) =>
+      [s, pct(stageMin[s], s === "W" ? tibMin : tstMin)]));
+
+    return {
+      tibMin,
+      tstMin,
+      sePct: pct(tstMin, tibMin),
+      solMin: onset < 0 ? null : (onset - first) * epochMin,
+      remLatencyMin: firstRem < 0 ? null : (firstRem - onset) * epochMin,
+      wasoMin: wasoEpochs * epochMin,
+      awakenings,
+      stageMin,
+      stagePct,
+      transitions,
+      transitionCount,
+      cycles,
+    };
+  }
+
+  /**
+   * Flat rows for tables and CSV: transition rows only for the pairs that
+   * occur in at least one of `statsList`.
+   * @param {SleepStats[]} statsList
+   * @returns {Array<{ key: string, label: string, values: Array<number|null> }>}
+   */
+  function sleepStatisticsRows(statsList) {
+    const row = (key, label, get) => ({ key, label, values: statsList.map(get) });
+    const rows = [
+      row("tib_min", "Time in bed (min)", (st) => st.tibMin),
+      row("tst_min", "Total sleep time (min)", (st) => st.tstMin),
+      row("se_pct", "Sleep efficiency (%)", (st) => st.sePct),
+      row("sol_min", "Sleep onset latency (min)", (st) => st.solMin),
+      row("rem_latency_min", "REM latency (min)", (st) => st.remLatencyMin),
+      row("waso_min", "WASO (min)", (st) => st.wasoMin),
+      row("awakenings", "Awakenings", (st) => st.awakenings),
+    ];
+    for (const s of STAGES) {
+      rows.push(row(`${s}_min`, `${s} (min)`, (st) => st.stageMin[s]));
+      rows.push(row(`${s}_pct`, s === "W" ? "W (% of TIB)" : `${s} (% of TST)`,
+                    (st) => st.stagePct[s]));
+    }
+    rows.push(row("transitions", "Stage transitions", (st) => st.transitionCount));
+    for (const a of STAGES) {
+      for (const b of STAGES) {
+        const key = `${a}>${b}`;
+        if (statsList.some((st) => st.transitions[key])) {
+          rows.push(row(`transitions_${a}_${b}`, `  ${a} → ${b}`, (st) => st.transitions[key] || 0));
+        }
+      }
+    }
+    rows.push(row("cycles", "NREM/REM cycles", (st) => st.cycles));
+    return rows;
+  }
+
+  window.LucidifySleepStatistics = sleepStatistics;
+  window.LucidifySleepStatisticsRows = sleepStatisticsRows;
+})();
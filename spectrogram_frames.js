@@ -0,0 +1,175 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+(function () {
+  "use strict";
+
+  // Spectrogram rows cached per channel and frame plan (multitaper.js
+  // FramePlan), computed in spectrogram_worker.js. Frames sit on a fixed
+  // grid from the channel start (frame j starts at sample j * hop), so a
+  // pan only asks for the frames it reveals.
+
+  const WORKER_URL = "spectrogram_worker.js";
+  const MAX_ROWS_PER_PLAN = 100000; // beyond this a plan's cache starts over
+
+  // channel -> Map(plan key -> { rows: Map(frame -> Float32Array|null), busy, queued }).
+  // Only the latest plan of each channel is kept: a settings change drops
+  // the rows of the old one.
+  const cache = new WeakMap();
+
+  let worker = null;
+  let workerFailed = false;
+  let nextJobId = 1;
+  const jobs = new Map(); // id -> { resolve, reject, packed, count, plan }
+
+  function planKey(plan) {
+    return [plan.fs, plan.winSize, plan.hop, plan.nfft, plan.minBin, plan.maxBin,
+            plan.taper, plan.taper === "multitaper" ? plan.nw : "", plan.scale].join("|");
+  }
+
+  function entryFor(ch, plan) {
+    let byPlan = cache.get(ch);
+    if (!byPlan) {
+      byPlan = new Map();
+      cache.set(ch, byPlan);
+    }
+    const key = planKey(plan);
+    let entry = byPlan.get(key);
+    if (!entry) {
+      byPlan.clear();
+      entry = { rows: new Map(), busy: false, queued: null };
+      byPlan.set(key, entry);
+    }
+    return entry;
+  }
+
+  function isCurrent(ch, plan, entry) {
+    const byPlan = cache.get(ch);
+    return !!byPlan && byPlan.get(planKey(plan)) === entry;
+  }
+
+  /**
+   * Rows computed so far for `ch` under `plan`: frame index -> values of
+   * bins minBin..maxBin, or null for frames in a gap. Missing = not yet.
+   * @returns {Map<number, Float32Array|null>}
+   */
+  function cachedRows(ch, plan) {
+    return entryFor(ch, plan).rows;
+  }
+
+  function runOnMainThread(job) {
+    setTimeout(() => {
+      try {
+        job.resolve(window.LucidifySpectrogramRows(job.packed, job.count, job.plan));
+      } catch (err) {
+        job.reject(err);
+      }
+    }, 0);
+  }
+
+  // Worker unusable (e.g. file:// pages): this and later jobs run on the
+  // main thread
+  function workerFailedWith(why) {
+    console.warn("Spectrogram worker unavailable, computing on the main thread:", why);
+    workerFailed = true;
+    if (worker) worker.terminate();
+    worker = null;
+    const pending = [...jobs.values()];
+    jobs.clear();
+    for (const job of pending) runOnMainThread(job);
+  }
+
+  function startWorker() {
+    if (worker || workerFailed) return worker;
+    try {
+      worker = new Worker(WORKER_URL);
+    } catch (err) {
+      workerFailedWith(err);
+      return null;
+    }
+    worker.onmessage = (ev) => {
+      const msg = ev.data || {};
+      const job = jobs.get(msg.id);
+      if (!job) return;
+      jobs.delete(msg.id);
+      if (msg.type === "done") job.resolve(msg.rows);
+      else job.reject(new Error(msg.message));
+    };
+    worker.onerror = (ev) => {
+      ev.preventDefault();
+      workerFailedWith(ev.message || "worker failed");
+    };
+    return worker;
+  }
+
+  function computeRows(packed, count, plan) {
+    return new Promise((resolve, reject) => {
+      const job = { resolve, reject, packed, count, plan };
+      const w = startWorker();
+      if (!w) {
+        runOnMainThread(job);
+        return;
+      }
+      const id = nextJobId++;
+      jobs.set(id, job);
+      // copied, not transferred: the main-thread fallback may need it
+      w.postMessage({ type: "frames", id, packed, count, plan });
+    });
+  }
+
+  /**
+   * Compute frames of `ch` under `plan` in the background. Frames already
+   * cached are skipped; while a job for this channel and plan runs, only
+   * the latest request waits behind it (older views are not worth it).
+   * @param {Object} ch - recording channel
+   * @param {FramePlan} plan - with `hop`
+   * @param {Array<{ j: number, samples: Float32Array }>} frames - plan.winSize samples each
+   * @param {Function} onReady - called once the rows are cached
+   */
+  function requestFrames(ch, plan, frames, onReady) {
+    const entry = entryFor(ch, plan);
+    const todo = frames.filter((f) => !entry.rows.has(f.j));
+    if (!todo.length) return;
+    if (entry.busy) {
+      entry.queued = { frames: todo, onReady };
+      return;
+    }
+
+    entry.busy = true;
+    const packed = new Float32Array(todo.length * plan.winSize);
+    todo.forEach((f, i) => packed.set(f.samples, i * plan.winSize));
+
+    computeRows(packed, todo.length, plan).then((rows) => {
+      if (entry.rows.size + rows.length > MAX_ROWS_PER_PLAN) entry.rows.clear();
+      todo.forEach((f, i) => entry.rows.set(f.j, rows[i]));
+      return true;
+    }, (err) => {
+      // not cached: the next draw asks for these frames again (no redraw
+      // from here, so a lasting error does not loop)
+      console.error("Spectrogram frames failed:", err);
+      return false;
+    }).then((ok) => {
+      entry.busy = false;
+      const next = entry.queued;
+      entry.queued = null;
+      // a dropped plan must not come back through its queued request
+      if (next && isCurrent(ch, plan, entry)) requestFrames(ch, plan, next.frames, next.onReady);
+      if (ok) onReady();
+    });
+  }
+
+  window.LucidifySpectrogramFrames = { cachedRows, requestFrames };
+})();
@@ -0,0 +1,39 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+// Web Worker: spectrogram frames (multitaper.js LucidifySpectrogramRows)
+// off the UI thread. Started by spectrogram_frames.js; jobs run in order.
+//
+//   in:  { type: "frames", id, packed, count, plan }
+//   out: { type: "done", id, rows }                     (row buffers transferred)
+//        { type: "error", id, message }
+importScripts("multitaper.js");
+
+(function () {
+  "use strict";
+
+  self.onmessage = (ev) => {
+    const msg = ev.data || {};
+    if (msg.type !== "frames") return;
+    try {
+      const rows = self.LucidifySpectrogramRows(msg.packed, msg.count, msg.plan);
+      const transfer = rows.filter(Boolean).map((row) => row.buffer);
+      self.postMessage({ type: "done", id: msg.id, rows }, transfer);
+    } catch (err) {
+      self.postMessage({ type: "error", id: msg.id, message: err.message || String(err) });
+    }
+  };
+})();
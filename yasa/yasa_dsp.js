@@ -233,12 +233,33 @@
     return y;
   }
 
+  // Otherwise low-pass below the new Nyquist first: 4th-order
+  // Butterworth-like cascade at 0.45 * fsOut, run forward and backward (zero
+  // phase, so epochs stay aligned). Each finite run is filtered on its own;
+  // NaN samples (EDF+D gaps) stay NaN.
+  function antiAliasLowpass(x, fsIn, fsOut) {
+    const c = biquadLowpass(0.45 * fsOut, fsIn, Math.SQRT1_2);
+    const y = Float64Array.from(x);
+    for (let a = 0; a < y.length;) {
+      if (!Number.isFinite(y[a])) { a++; continue; }
+      let b = a + 1;
+      while (b < y.length && Number.isFinite(y[b])) b++;
+      let run = applyBiquad(applyBiquad(y.subarray(a, b), c), c);
+      run.reverse();
+      run = applyBiquad(applyBiquad(run, c), c);
+      y.set(run.reverse(), a);
+      a = b;
+    }
+    return y;
+  }
+
   function downsampleTo(x, fsIn, fsTarget) {
     if (fsIn === fsTarget) return Float64Array.from(x);
     const ratio = fsIn / fsTarget;
     if (Math.abs(ratio - Math.round(ratio)) < 1e-9) {
       return decimateMovingAverage(x, Math.round(ratio));
     }
+    if (fsTarget < fsIn) x = antiAliasLowpass(x, fsIn, fsTarget);
     return resampleLinear(x, fsIn, fsTarget);
   }
 
@@ -279,6 +300,24 @@
     return { b0, b1, b2, a1, a2 };
   }
 
+  // Band-stop at f0 (e.g. 50/60 Hz mains); bandwidth about f0 / Q.
+  function biquadNotch(f0, fs, Q) {
+    const w0 = 2 * Math.PI * (f0 / fs);
+    const cosw0 = Math.cos(w0);
+    const sinw0 = Math.sin(w0);
+    const alpha = sinw0 / (2 * Q);
+
+    let b0 = 1;
+    let b1 = -2 * cosw0;
+    let b2 = 1;
+    let a0 = 1 + alpha;
+    let a1 = -2 * cosw0;
+    let a2 = 1 - alpha;
+
+    b0 /= a0; b1 /= a0; b2 /= a0; a1 /= a0; a2 /= a0;
+    return { b0, b1, b2, a1, a2 };
+  }
+
   function applyBiquad(x, c) {
     const y = new Float64Array(x.length);
     let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
@@ -325,7 +364,14 @@
     },
     trapzBand: (psd, freqs, f0, f1) => bandpowerFromPxx(freqs, psd, f0, f1),
   
-    // also expose originals (optional)
+    // biquad designs (also used by display_filters.js)
+    biquadLowpass,
+    biquadHighpass,
+    biquadNotch,
+    applyBiquad,
+
+    // also expose originals (optional); _downsampleTo is also used by
+    // main.js (mixed-rate channels) and multitaper.js (overview)
     _downsampleTo: downsampleTo,
     _bandpowerFromPxx: bandpowerFromPxx,
     _welchMedian: welchMedian,
@@ -0,0 +1,47 @@
+/*
+ Lucidify EDF Tools - Copyright (c) 2025 Lucidify
+ All rights reserved.
+
+ This source code is provided for use only within the Lucidify platform
+ and associated research tools. Redistribution, reproduction, or use of
+ any portion of this file outside Lucidify projects is not permitted
+ without written permission.
+
+ The algorithms and methods implemented here represent proprietary work
+ under active development. Unauthorized reuse may violate copyright or
+ research licensing agreements.
+
+ If you need access, licensing, or integration support, contact:
+ support@lucidify.ai
+*/
+// Web Worker: whole-night YASA staging (yasa/yasa_sleep_stage.js
+// LucidifyYasaSleepStage.runFromSamples) off the UI thread. Started by
+// main.js; jobs run in order.
+//
+//   in:  { type: "stage", id, samples, fs, epochSec, physDim }  (samples transferred)
+//   out: { type: "done", id, stages, probs }
+//        { type: "error", id, message }
+self.window = self; // the yasa/ modules register themselves on window
+try {
+  importScripts("yasa/yasa_model_dump_embedded.js");
+} catch (err) {
+  // optional: without it the model dump is fetched from yasa/yasa_model_dump.json
+}
+importScripts("yasa/yasa_dsp.js", "yasa/yasa_features.js", "yasa/yasa_lgbm.js",
+              "yasa/yasa_staging.js", "yasa/yasa_sleep_stage.js");
+
+(function () {
+  "use strict";
+
+  self.onmessage = async (ev) => {
+    const msg = ev.data || {};
+    if (msg.type !== "stage") return;
+    try {
+      const { stages, probs } = await self.LucidifyYasaSleepStage.runFromSamples(
+        msg.samples, msg.fs, { epochSec: msg.epochSec, physDim: msg.physDim });
+      self.postMessage({ type: "done", id: msg.id, stages, probs });
+    } catch (err) {
+      self.postMessage({ type: "error", id: msg.id, message: err.message || String(err) });
+    }
+  };
+})();